@@ -1,12 +1,33 @@
 /* global browser */
 /**
  * Mailbox Full Alert (quota warning) - MFA
- * - Per-account mailbox size (GB) and warning threshold (%)
- * - Local sum of all messages across folders
+ * - Per-account mailbox size and alert levels (warning / critical / full, in %) and/or a free-space rule
+ * - Server-reported IMAP quota when available (auto / server / manual per account)
+ * - Provider presets (Gmail, GMX, Outlook.com, ...) pre-fill the mailbox size of new accounts
+ * - Local sum of all messages across folders, cached per folder and kept up to date from message/folder events
+ * - Per-account folder rules exclude folders from the local sum (by folder, special-use type or name pattern)
+ * - Gmail label copies counted once (by headerMessageId), automatically for Gmail / Google Workspace
+ * - Quota groups: accounts sharing one storage pool are summed up and alerted with one limit
+ * - Usage history per account (downsampled) and a "days until full" forecast
+ * - Re-notification policy per account (per crossing / daily / after growth), snooze & acknowledge
+ * - Quiet hours: no pop-ups in a weekly time window, held-back alerts are delivered once afterwards
  * - Checks on startup and via browser.alarms (user-configurable; 0 disables)
- * - Toolbar badge shows percentage of the most critical account
- * - Tooltip shows only the account name
- * - Options page can trigger single-account checks
+ * - New mail re-checks its account within seconds, from the usage cache (no folder walk)
+ * - Toolbar icon drawn as a fill-level gauge; badge mode selectable (worst / count / highest / off), coloured by level
+ * - Follows accounts added, renamed or removed in Thunderbird; state of removed accounts is cleaned up
+ * - Toolbar popup with an at-a-glance summary of all monitored accounts
+ * - Tooltip lists the usage of every monitored account
+ * - Options page can trigger single-account checks and show a per-folder breakdown
+ * - Live scan progress (folders / bytes) streamed to the options page; running walks can be cancelled
+ * - Scan scheduler: one walk per account for all callers, folders listed with limited parallelism,
+ *   scheduled checks start no new walk past a time budget and check the remaining accounts shortly after
+ * - Largest-messages view (open / move to Local Folders)
+ * - Cleanup assistant (empty Trash/Junk, delete or archive old mail), reachable from the notification
+ * - Pre-send warning when the Sent copy of a message would push the account to a higher level or past its limit
+ * - Enterprise policies (storage.managed): default and locked interval, limits (also per email domain) and levels
+ * - Persisted log of the last checks (per account: usage, folders walked, level, notification, errors) for diagnostics
+ * - Settings export / import as versioned JSON (accounts matched by email or name) and CSV / JSON usage reports
+ * - Folder pane context menu: size and message count of a folder (with subfolders) and its share of the limit
  */
 
 /* ===========================
@@ -14,220 +35,2518 @@
 * =========================== */
 const MFA_DEFAULT_CHECK_INTERVAL_MIN = 360;     // default 6 hours
 const MFA_DEFAULT_THRESHOLD_PCT = 80;      // default warning threshold
-const MFA_NOTIFY_STATE_KEY_PREFIX = 'MFA_lastNotifiedPct_';
+const MFA_DEFAULT_CRITICAL_PCT = 90;       // default critical level (0 = off)
+const MFA_DEFAULT_FULL_PCT = 98;           // default full level (0 = off)
+const MFA_NOTIFY_STATE_KEY_PREFIX = 'MFA_notifyState_';
+const MFA_LEGACY_NOTIFY_STATE_KEY_PREFIX = 'MFA_lastNotifiedPct_';
 const MFA_GLOBAL_INTERVAL_KEY = 'MFA_globalIntervalMin';
 
+/* where the limit (and usage) comes from: server quota if reported, otherwise the manual GB value */
+const MFA_QUOTA_SOURCES = ['auto', 'server', 'manual'];
+const MFA_DEFAULT_QUOTA_SOURCE = 'auto';
+
+/* mailbox sizes of common providers (free plans), matched by identity email domain */
+const MFA_GB = 1024 ** 3;
+const MFA_PROVIDER_PRESETS = [
+	{ id: 'gmail', name: 'Gmail', limitBytes: 15 * MFA_GB, domains: ['gmail.com', 'googlemail.com'] },
+	{ id: 'outlook', name: 'Outlook.com', limitBytes: 15 * MFA_GB, domains: ['outlook.com', 'outlook.de', 'hotmail.com', 'hotmail.de', 'live.com', 'live.de', 'msn.com'] },
+	{ id: 'yahoo', name: 'Yahoo Mail', limitBytes: 20 * MFA_GB, domains: ['yahoo.com', 'yahoo.de', 'yahoo.co.uk', 'yahoo.fr', 'ymail.com', 'rocketmail.com'] },
+	{ id: 'icloud', name: 'iCloud Mail', limitBytes: 5 * MFA_GB, domains: ['icloud.com', 'me.com', 'mac.com'] },
+	{ id: 'gmx', name: 'GMX', limitBytes: 1 * MFA_GB, domains: ['gmx.de', 'gmx.net', 'gmx.at', 'gmx.ch', 'gmx.com'] },
+	{ id: 'webde', name: 'WEB.DE', limitBytes: 1 * MFA_GB, domains: ['web.de'] },
+	{ id: 'tonline', name: 'T-Online', limitBytes: 1 * MFA_GB, domains: ['t-online.de'] },
+	{ id: 'posteo', name: 'Posteo', limitBytes: 2 * MFA_GB, domains: ['posteo.de', 'posteo.net', 'posteo.at', 'posteo.ch', 'posteo.eu'] },
+	{ id: 'mailboxorg', name: 'mailbox.org', limitBytes: 10 * MFA_GB, domains: ['mailbox.org'] },
+	{ id: 'proton', name: 'Proton Mail', limitBytes: 1 * MFA_GB, domains: ['proton.me', 'protonmail.com', 'protonmail.ch', 'pm.me'] },
+	{ id: 'zoho', name: 'Zoho Mail', limitBytes: 5 * MFA_GB, domains: ['zohomail.com', 'zohomail.eu'] }
+];
+
+/* per-folder usage cache (avoids full mailbox walks on every check) */
+const MFA_USAGE_CACHE_KEY = 'MFA_usageCache';
+const MFA_USAGE_CACHE_SAVE_DELAY_MS = 2000;
+const MFA_USAGE_CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // full rescan at least weekly to catch drift
+const MFA_UNIQUE_MESSAGES_KEY_PREFIX = 'MFA_uniqueMessages_'; // per-account unique-message map, stored after a walk and after event bursts
+const MFA_UNIQUE_MESSAGES_SAVE_DELAY_MS = 30 * 1000; // maps can be large: coalesce more than the usage cache does
+
+/* usage history (one sample per check) & growth forecast */
+const MFA_HISTORY_KEY_PREFIX = 'MFA_history_';
+const MFA_HISTORY_RETENTION_DAYS = 180;
+const MFA_HISTORY_MAX_SAMPLES = 500;
+const MFA_FORECAST_WINDOW_DAYS = 30;              // regression only over recent growth
+const MFA_FORECAST_MIN_SPAN_MS = 12 * 60 * 60 * 1000; // need at least 12h of samples
+
+/* largest messages view */
+const MFA_DEFAULT_LARGEST_COUNT = 50;
+const MFA_MAX_LARGEST_COUNT = 500;
+
+/*
+ * Alert levels, ascending by severity. Each level has its own badge colour, notification text
+ * and re-notify rule: 'crossing' = only when the level is reached, 'scheduled' = again on every scheduled check
+ */
+const MFA_LEVELS = [
+	{ key: 'warning', color: '#e37400', titleKey: 'notifyTitle', lineKey: 'notifyLineWarning', renotify: 'crossing' },
+	{ key: 'critical', color: '#d93025', titleKey: 'notifyTitle', lineKey: 'notifyLineThreshold', renotify: 'scheduled' },
+	{ key: 'full', color: '#a50e0e', titleKey: 'notifyTitleFull', lineKey: 'notifyLineFull', renotify: 'scheduled' }
+];
+
+/*
+ * Per-account re-notification policy (while staying on the same level):
+ * 'level' = each level's own rule, 'crossing' = once per crossing, 'daily' = at most once a day,
+ * 'growth' = again after usage grew by `renotifyGrowthPct` more percent
+ */
+const MFA_RENOTIFY_POLICIES = ['level', 'crossing', 'daily', 'growth'];
+const MFA_DEFAULT_RENOTIFY_POLICY = 'level';
+const MFA_DEFAULT_RENOTIFY_GROWTH_PCT = 5;
+const MFA_SNOOZE_KEY = 'MFA_snoozed';
+const MFA_DAY_MS = 24 * 60 * 60 * 1000;
+
+/* quiet hours: no pop-ups inside the window (badge still updates), held-back alerts are delivered afterwards */
+const MFA_QUIET_HOURS_KEY = 'MFA_quietHours';
+const MFA_PENDING_ALERTS_KEY = 'MFA_pendingAlerts';
+const MFA_QUIET_HOURS_ALARM = 'quiet-hours-end';
+const MFA_DEFAULT_QUIET_HOURS = { enabled: false, days: [0, 1, 2, 3, 4, 5, 6], start: '22:00', end: '07:00' };
+
+/*
+ * Toolbar: the icon is drawn at runtime as a fill-level gauge; badge modes:
+ * 'worst' = most critical account over threshold, 'count' = number of accounts over threshold,
+ * 'highest' = always the highest percentage, 'off'
+ */
+const MFA_BADGE_MODE_KEY = 'MFA_badgeMode';
+const MFA_BADGE_MODES = ['worst', 'count', 'highest', 'off'];
+const MFA_DEFAULT_BADGE_MODE = 'worst';
+const MFA_GAUGE_ICON_SIZES = [16, 32];
+const MFA_GAUGE_NORMAL_COLOR = '#1a73e8';
+const MFA_DEFAULT_ICON_PATHS = { 16: 'icons/icon-16.png', 32: 'icons/icon-32.png' };
+
+/* folder rules: folders excluded from the local quota sum (by path incl. subfolders, special-use type or name pattern) */
+const MFA_FOLDER_RULE_TYPES = ['trash', 'junk', 'drafts', 'templates', 'outbox', 'sent', 'archives'];
+
+/*
+ * accounting mode of the local sum: 'folders' adds up every folder, 'unique' counts each message
+ * once by headerMessageId (Gmail labels show the same message in several folders); 'auto' = 'unique' for Gmail
+ */
+const MFA_ACCOUNTING_MODES = ['auto', 'folders', 'unique'];
+const MFA_DEFAULT_ACCOUNTING_MODE = 'auto';
+const MFA_GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+const MFA_GMAIL_FOLDER_PATHS = ['/[Gmail]', '/[Google Mail]'];
+
+/* cleanup assistant */
+const MFA_CLEANUP_TRASH_TYPES = ['trash', 'junk'];
+const MFA_CLEANUP_BATCH_SIZE = 100;
+
+/* quota groups: several accounts sharing one storage pool (one limit, alerts and badge at group level) */
+const MFA_QUOTA_GROUPS_KEY = 'MFA_quotaGroups';
+const MFA_GROUP_ID_PREFIX = 'group:';
+
+/* live scan progress for extension pages (runtime.connect port), posted per folder and every N messages */
+const MFA_SCAN_PORT_NAME = 'scan-progress';
+const MFA_SCAN_PROGRESS_MESSAGES = 500;
+
+/*
+ * scan scheduler: folders listed at once (over all scans), pause after a busy slice, budget of a scheduled check.
+ * The budget only keeps new walks from starting; a walk already running is finished (its result lands in the cache).
+ * Accounts left over are stored and checked on their own by the resume alarm.
+ */
+const MFA_SCAN_CONCURRENCY = 3;
+const MFA_SCAN_SLICE_MS = 100;
+const MFA_SCAN_YIELD_MS = 20;
+const MFA_SCAN_TICK_BUDGET_MS = 30 * 1000;
+const MFA_SCAN_RESUME_ALARM = 'quota-check-resume';
+const MFA_SCAN_RESUME_DELAY_MIN = 1;
+const MFA_SCAN_DEFERRED_KEY = 'MFA_deferredAccounts';
+
+/* persisted log of the last checks (diagnostics in the options page) */
+const MFA_CHECK_LOG_KEY = 'MFA_checkLog';
+const MFA_CHECK_LOG_MAX_RUNS = 50;
+const MFA_CHECK_LOG_MAX_NEW_MAIL_RUNS = 10; // kept apart, so new-mail bursts don't push out the other checks
+
+/* enterprise policy (storage.managed): per-account fields it may set or lock, besides "intervalMin" */
+const MFA_POLICY_ACCOUNT_FIELDS = ['limitBytes', 'quotaSource', 'thresholdPct', 'criticalPct', 'fullPct'];
+
+/* settings export (versioned JSON) and usage report */
+const MFA_EXPORT_FORMAT = 'mailbox-full-alert-settings';
+const MFA_EXPORT_VERSION = 1;
+const MFA_REPORT_FORMAT = 'mailbox-full-alert-usage';
+
+/* new mail re-checks its account after a short pause (a burst of messages gives one check) */
+const MFA_NEW_MAIL_CHECK_DELAY_MS = 5 * 1000;
+
+/* folder pane context menu: size of a folder (with subfolders) and its share of the limit */
+const MFA_FOLDER_MENU_ID = 'mfa-folder-size';
+const MFA_FOLDER_NOTIFICATION_ID = 'folder-size';
+
+/* pre-send warning: attachments are stored base64-encoded in the Sent copy */
+const MFA_PRESEND_BASE64_FACTOR = 4 / 3;
+const MFA_PRESEND_WINDOW_WIDTH = 480;
+const MFA_PRESEND_WINDOW_HEIGHT = 280;
+
 /* stable notification ids per account */
 const MFA_NOTIFICATION_ID_PREFIX = 'quota-';
 
 /* ===========================
-* Utils
+* Utils
+* =========================== */
+
+/** Format bytes to human readable string */
+async function formatBytes(bytes) {
+	return await browser.messengerUtilities.formatFileSize(bytes);
+}
+
+/** Iterate all messages of a (possibly paginated) MessageList; an aborted `signal` stops between pages */
+async function forEachMessage(page, fn, signal = null) {
+	while (page) {
+		signal?.throwIfAborted();
+		for (let msg of page.messages || []) await fn(msg);
+		if (!page.id) break;
+		page = await browser.messages.continueList(page.id);
+	}
+}
+
+/** Sum sizes of all messages in a folder (handles pagination); returns { bytes, count }; `visit` sees each message */
+async function sumFolderMessagesSize(folder, visit = null, signal = null) {
+	let bytes = 0;
+	let count = 0;
+	await forEachMessage(await browser.messages.list(folder), (msg) => {
+		count++;
+		if (typeof msg.size === 'number') bytes += msg.size;
+		if (visit) visit(msg);
+	}, signal);
+	return { bytes, count };
+}
+
+/** Depth-first walk over a folder and all of its subfolders */
+async function walkFolders(folder, visit) {
+	await visit(folder);
+	if (Array.isArray(folder.subFolders) && folder.subFolders.length) {
+		for (let child of folder.subFolders) await walkFolders(child, visit);
+	} else {
+		let children = await browser.folders.getSubFolders(folder);
+		for (let child of children) await walkFolders(child, visit);
+	}
+}
+
+/** Special-use type of a folder ('inbox', 'trash', 'junk', ...) or null */
+function getFolderType(folder) {
+	return folder.type || (Array.isArray(folder.specialUse) ? folder.specialUse[0] : null) || null;
+}
+
+/**
+ * Full walk of an account: per-folder sizes are kept in the usage cache.
+ * With `unique`, a map `{ [key]: [size, ...folderPaths] }` to count each message once is collected too (see setUniqueMessages).
+ * Progress is posted to connected pages; a cancelled scan throws an AbortError and leaves the cache untouched.
+ * Events during the walk can't be applied to the new entry (a folder may or may not have been read yet), so it is
+ * stored invalid then: this check uses it, the next one walks again.
+ */
+async function scanAccountFolders(accountId, { unique = false } = {}) {
+	let account = await browser.accounts.get(accountId, true); // include subfolders
+	if (!account || !account.rootFolder) return null;
+
+	let scan = beginScan(accountId);
+	try {
+		let all = [];
+		await walkFolders(account.rootFolder, (folder) => { all.push(folder); });
+		scan.progress.foldersTotal = all.length;
+		postScanProgress(accountId, scan.progress);
+
+		let folders = {};
+		let messages = unique ? {} : null;
+		await Promise.all(all.map(folder => withScanSlot(scan.controller.signal, async () => {
+			let seen = 0;
+			let folderBytes = 0;
+			let visit = (msg) => {
+				if (messages) addUniqueMessage(messages, msg, folder.path);
+				folderBytes += Number(msg.size) || 0;
+				if (++seen % MFA_SCAN_PROGRESS_MESSAGES === 0) {
+					postScanProgress(accountId, { ...scan.progress, bytes: scan.progress.bytes + folderBytes });
+				}
+			};
+			let { bytes, count } = await sumFolderMessagesSize(folder, visit, scan.controller.signal);
+			folders[folder.path] = {
+				name: folder.name || folder.path,
+				type: getFolderType(folder),
+				bytes,
+				count
+			};
+			scan.progress.foldersDone++;
+			scan.progress.bytes += bytes;
+			postScanProgress(accountId, scan.progress);
+		})));
+
+		let entry = { scannedAt: Date.now(), folders };
+		if (scan.stale) entry.invalid = true;
+		if (messages) await setUniqueMessages(accountId, entry, messages);
+		await setCachedAccountUsage(accountId, entry);
+		return entry;
+	} finally {
+		endScan(accountId, scan);
+	}
+}
+
+/**
+ * Sum all counted folders of an account (from the usage cache; full walk only if missing, invalid or requested).
+ * With `unique`, a message found in several folders (same headerMessageId) is counted once.
+ * Past `deadline`, a needed walk is not started (see requestAccountScan). `onWalk` gets the entry of a walk awaited here.
+ */
+async function sumAccountBytes(accountId, { rescan = false, folderRules = null, unique = false, deadline = 0, onWalk = null } = {}) {
+	let entry = rescan ? null : await getCachedAccountUsage(accountId, { unique });
+	if (!entry) {
+		entry = await requestAccountScan(accountId, { unique, deadline });
+		if (entry) onWalk?.(entry);
+	}
+	if (!entry) return 0;
+
+	let rules = getFolderRules({ folderRules });
+	let counted = new Set(Object.keys(entry.folders).filter(path => !getFolderExclusion(rules, path, entry.folders[path])));
+	let total = 0;
+	if (unique) {
+		for (let [size, ...paths] of Object.values(await getUniqueMessages(accountId, entry) || {})) {
+			if (paths.some(path => counted.has(path))) total += size;
+		}
+	} else {
+		for (let path of counted) total += entry.folders[path].bytes;
+	}
+	return total;
+}
+
+/* ===========================
+* Scan progress & cancellation (runtime.connect port)
+* =========================== */
+
+let scanPorts = new Set();
+let activeScans = new Map(); // accountId -> Set of { controller, progress: { foldersDone, foldersTotal, bytes }, stale? }
+
+function postScanProgress(accountId, progress, state = 'running') {
+	let msg = { type: 'scanProgress', accountId, state, ...progress };
+	for (let port of scanPorts) {
+		try { port.postMessage(msg); } catch (e) { /* ignore */ }
+	}
+}
+
+function beginScan(accountId) {
+	let scan = { controller: new AbortController(), progress: { foldersDone: 0, foldersTotal: 0, bytes: 0 } };
+	if (!activeScans.has(accountId)) activeScans.set(accountId, new Set());
+	activeScans.get(accountId).add(scan);
+	return scan;
+}
+
+function endScan(accountId, scan) {
+	let scans = activeScans.get(accountId);
+	scans?.delete(scan);
+	if (scans && !scans.size) activeScans.delete(accountId);
+	postScanProgress(accountId, scan.progress, scan.controller.signal.aborted ? 'cancelled' : 'done');
+}
+
+/** A message or folder event hit the account during its walks: their results may miss it (see scanAccountFolders) */
+function markScansStale(accountId) {
+	for (let scan of activeScans.get(accountId) || []) scan.stale = true;
+}
+
+/** Abort all running walks of an account */
+function cancelScan(accountId) {
+	for (let scan of activeScans.get(accountId) || []) scan.controller.abort();
+}
+
+function isAbortError(e) {
+	return e?.name === 'AbortError';
+}
+
+browser.runtime.onConnect.addListener((port) => {
+	if (port.name !== MFA_SCAN_PORT_NAME) return;
+	scanPorts.add(port);
+	port.onDisconnect.addListener(() => scanPorts.delete(port));
+	port.onMessage.addListener((msg) => {
+		if (msg?.type === 'cancelScan') cancelScan(msg.accountId);
+	});
+
+	// a page opened during a scan sees it right away
+	for (let [accountId, scans] of activeScans) {
+		for (let scan of scans) postScanProgress(accountId, scan.progress);
+	}
+});
+
+/* ===========================
+* Scan scheduler
+* =========================== */
+
+let runningScans = new Map(); // accountId -> { promise, unique }
+let scanSlots = MFA_SCAN_CONCURRENCY;
+let scanSlotQueue = [];
+let scanSliceStart = Date.now();
+
+/**
+ * Walk an account once for all callers: a check, the snapshot and the options page asking at the same time
+ * share one scan. A unique-mode request waits for a running folders-only scan and then walks again.
+ * After `deadline` (scheduled checks), no new walk is started: throws a TimeoutError instead.
+ */
+async function requestAccountScan(accountId, { unique = false, deadline = 0 } = {}) {
+	let running = runningScans.get(accountId);
+	if (running && (running.unique || !unique)) return await running.promise;
+	if (deadline && Date.now() > deadline) throw new DOMException('Scan deferred to the next check', 'TimeoutError');
+
+	let promise = (async () => {
+		if (running) await running.promise.catch(() => {});
+		return await scanAccountFolders(accountId, { unique });
+	})();
+	let scan = { promise, unique };
+	runningScans.set(accountId, scan);
+	try {
+		return await promise;
+	} finally {
+		if (runningScans.get(accountId) === scan) runningScans.delete(accountId);
+	}
+}
+
+/** Run `fn` once one of the shared folder slots is free; pauses briefly after a busy slice so Thunderbird stays responsive */
+async function withScanSlot(signal, fn) {
+	if (scanSlots > 0) scanSlots--;
+	else await new Promise(resolve => scanSlotQueue.push(resolve));
+	try {
+		signal?.throwIfAborted();
+		if (Date.now() - scanSliceStart > MFA_SCAN_SLICE_MS) {
+			await new Promise(resolve => setTimeout(resolve, MFA_SCAN_YIELD_MS));
+			scanSliceStart = Date.now();
+		}
+		return await fn();
+	} finally {
+		let next = scanSlotQueue.shift();
+		if (next) next();
+		else scanSlots++;
+	}
+}
+
+function isDeferredError(e) {
+	return e?.name === 'TimeoutError';
+}
+
+/** Remember the accounts a scheduled check left over for the resume alarm (none: no alarm) */
+async function setDeferredAccounts(accountIds) {
+	if (!accountIds.length) {
+		await browser.storage.local.remove(MFA_SCAN_DEFERRED_KEY);
+		await browser.alarms.clear(MFA_SCAN_RESUME_ALARM);
+		return;
+	}
+	await browser.storage.local.set({ [MFA_SCAN_DEFERRED_KEY]: accountIds });
+	await browser.alarms.create(MFA_SCAN_RESUME_ALARM, { delayInMinutes: MFA_SCAN_RESUME_DELAY_MIN });
+}
+
+/** Resume alarm: check only the left-over accounts (and their groups); the others were evaluated by the last tick */
+async function resumeDeferredChecks() {
+	let obj = await browser.storage.local.get({ [MFA_SCAN_DEFERRED_KEY]: [] });
+	let accountIds = Array.isArray(obj[MFA_SCAN_DEFERRED_KEY]) ? obj[MFA_SCAN_DEFERRED_KEY] : [];
+	if (!accountIds.length) return;
+	await checkAllAccounts({ scheduled: true, onlyAccountIds: accountIds, reason: 'scheduled' });
+}
+
+/* ===========================
+* Usage cache (per-folder sizes, updated from message & folder events)
+* =========================== */
+
+let usageCache = null;      // in-memory mirror of storage: { [accountId]: { scannedAt, folders: { [path]: { name, type, bytes, count } }, unique?, uniqueSaved? } }
+let usageCacheSaveTimer = null;
+
+async function loadUsageCache() {
+	if (!usageCache) {
+		let obj = await browser.storage.local.get({ [MFA_USAGE_CACHE_KEY]: {} });
+		usageCache = obj[MFA_USAGE_CACHE_KEY] || {};
+		// older versions kept the unique-message map inside the cache: drop it, the next unique check walks again
+		for (let entry of Object.values(usageCache)) {
+			if (!entry?.messages) continue;
+			delete entry.messages;
+			scheduleUsageCacheSave();
+		}
+	}
+	return usageCache;
+}
+
+/** Persist the cache; event bursts (e.g. moving 1000 messages) are coalesced */
+function scheduleUsageCacheSave() {
+	if (usageCacheSaveTimer) return;
+	usageCacheSaveTimer = setTimeout(() => {
+		usageCacheSaveTimer = null;
+		browser.storage.local.set({ [MFA_USAGE_CACHE_KEY]: usageCache }).catch(console.error);
+	}, MFA_USAGE_CACHE_SAVE_DELAY_MS);
+}
+
+/** Cached entry of an account, or null if there is none or it is invalid/too old (or lacks the unique-message map) */
+async function getCachedAccountUsage(accountId, { unique = false } = {}) {
+	let cache = await loadUsageCache();
+	let entry = cache[accountId];
+	if (!entry || entry.invalid || !entry.folders) return null;
+	if (Date.now() - Number(entry.scannedAt || 0) > MFA_USAGE_CACHE_MAX_AGE_MS) return null;
+	if (unique && !await getUniqueMessages(accountId, entry)) return null;
+	return entry;
+}
+
+async function setCachedAccountUsage(accountId, entry) {
+	let cache = await loadUsageCache();
+	cache[accountId] = entry;
+	scheduleUsageCacheSave();
+}
+
+/** Mark an account's cache invalid, so the next read does a full rescan */
+async function invalidateAccountUsage(accountId) {
+	markScansStale(accountId);
+	let cache = await loadUsageCache();
+	if (!cache[accountId]) return;
+	cache[accountId].invalid = true;
+	scheduleUsageCacheSave();
+}
+
+async function removeCachedAccountUsage(accountId) {
+	await removeUniqueMessages(accountId);
+	let cache = await loadUsageCache();
+	if (!(accountId in cache)) return;
+	delete cache[accountId];
+	scheduleUsageCacheSave();
+}
+
+/*
+ * Unique-message maps can have an entry per message of a large account, so they are not part of the usage cache
+ * (saved after every event burst): they are kept in memory and stored under their own key after a walk.
+ * Message events update the map in memory, clear the entry's `uniqueSaved` and store the map again once the burst
+ * is over; only if Thunderbird quits before that does the account walk again on its next unique check.
+ */
+let uniqueMessages = new Map(); // accountId -> { scannedAt, messages }
+let uniqueMessagesSaveTimers = new Map(); // accountId -> timeout id
+
+function getUniqueMessagesKey(accountId) {
+	return `${MFA_UNIQUE_MESSAGES_KEY_PREFIX}${accountId}`;
+}
+
+/** Unique-message map belonging to a cache entry (from memory, else the copy stored after its walk), or null */
+async function getUniqueMessages(accountId, entry) {
+	if (!entry?.unique) return null;
+	let loaded = uniqueMessages.get(accountId);
+	if (loaded?.scannedAt === entry.scannedAt) return loaded.messages;
+	if (!entry.uniqueSaved) return null;
+
+	let key = getUniqueMessagesKey(accountId);
+	let stored = (await browser.storage.local.get(key))[key];
+	if (stored?.scannedAt !== entry.scannedAt || !stored.messages) return null;
+	uniqueMessages.set(accountId, stored);
+	return stored.messages;
+}
+
+async function setUniqueMessages(accountId, entry, messages) {
+	clearTimeout(uniqueMessagesSaveTimers.get(accountId));
+	uniqueMessagesSaveTimers.delete(accountId);
+	let rec = { scannedAt: entry.scannedAt, messages };
+	uniqueMessages.set(accountId, rec);
+	entry.unique = true;
+	await browser.storage.local.set({ [getUniqueMessagesKey(accountId)]: rec });
+	entry.uniqueSaved = true;
+}
+
+/** Persist a map changed by events; `uniqueSaved` stays false until the stored copy matches memory again */
+function scheduleUniqueMessagesSave(accountId, entry) {
+	entry.uniqueSaved = false;
+	if (uniqueMessagesSaveTimers.has(accountId)) return;
+	uniqueMessagesSaveTimers.set(accountId, setTimeout(async () => {
+		uniqueMessagesSaveTimers.delete(accountId);
+		let rec = uniqueMessages.get(accountId);
+		if (!rec || rec.scannedAt !== entry.scannedAt || usageCache?.[accountId] !== entry || entry.invalid) return;
+		try {
+			await browser.storage.local.set({ [getUniqueMessagesKey(accountId)]: rec });
+		} catch (e) {
+			console.error(e);
+			return;
+		}
+		// a change while writing has scheduled another save and must keep the flag cleared until then
+		if (uniqueMessagesSaveTimers.has(accountId) || usageCache?.[accountId] !== entry) return;
+		entry.uniqueSaved = true;
+		scheduleUsageCacheSave();
+	}, MFA_UNIQUE_MESSAGES_SAVE_DELAY_MS));
+}
+
+async function removeUniqueMessages(accountId) {
+	clearTimeout(uniqueMessagesSaveTimers.get(accountId));
+	uniqueMessagesSaveTimers.delete(accountId);
+	uniqueMessages.delete(accountId);
+	await browser.storage.local.remove(getUniqueMessagesKey(accountId));
+}
+
+/** Size and message count of a folder with its subfolders from the usage cache, or null if none of them is cached */
+async function getCachedFolderSize(folder) {
+	let entry = await getCachedAccountUsage(folder.accountId);
+	if (!entry) return null;
+	let prefix = folder.path.endsWith('/') ? folder.path : `${folder.path}/`;
+	let paths = Object.keys(entry.folders).filter(path => path === folder.path || path.startsWith(prefix));
+	if (!paths.length) return null;
+	let bytes = 0;
+	let count = 0;
+	for (let path of paths) {
+		bytes += entry.folders[path].bytes;
+		count += entry.folders[path].count;
+	}
+	return { bytes, count };
+}
+
+/** Key of a message in the unique-message map; without a Message-ID every copy counts on its own */
+function getUniqueMessageKey(msg) {
+	return msg.headerMessageId ? `<${msg.headerMessageId}>` : `#${msg.id}`;
+}
+
+function addUniqueMessage(messages, msg, path) {
+	let key = getUniqueMessageKey(msg);
+	let rec = messages[key] || (messages[key] = [Number(msg.size) || 0]);
+	rec.push(path);
+}
+
+function removeUniqueMessage(messages, msg, path) {
+	let key = getUniqueMessageKey(msg);
+	let rec = messages[key];
+	if (!rec) return;
+	let i = rec.indexOf(path, 1);
+	if (i > 0) rec.splice(i, 1);
+	if (rec.length < 2) delete messages[key];
+}
+
+/** Add (sign = 1) or subtract (sign = -1) messages from the cached folder totals */
+async function applyMessagesToCache(messages, sign, folderOverride = null) {
+	let cache = await loadUsageCache();
+	for (let msg of messages) {
+		let folder = folderOverride || msg.folder;
+		if (folder) markScansStale(folder.accountId);
+		let entry = folder && cache[folder.accountId];
+		if (!entry || entry.invalid) continue;
+
+		let f = entry.folders[folder.path];
+		if (!f) {
+			// unknown folder: we can't trust the totals anymore
+			entry.invalid = true;
+			continue;
+		}
+		f.bytes = Math.max(0, f.bytes + sign * (Number(msg.size) || 0));
+		f.count = Math.max(0, f.count + sign);
+		let unique = await getUniqueMessages(folder.accountId, entry);
+		if (unique) {
+			if (sign > 0) addUniqueMessage(unique, msg, folder.path);
+			else removeUniqueMessage(unique, msg, folder.path);
+			scheduleUniqueMessagesSave(folder.accountId, entry);
+		}
+	}
+	scheduleUsageCacheSave();
+}
+
+/** Collect all messages of a MessageList event argument */
+async function collectMessages(messageList) {
+	let out = [];
+	await forEachMessage(messageList, (msg) => { out.push(msg); });
+	return out;
+}
+
+/** Re-key cached folders after a folder (and its subtree) was renamed or moved */
+async function moveCachedFolderPaths(oldFolder, newFolder) {
+	markScansStale(oldFolder.accountId);
+	markScansStale(newFolder.accountId);
+	let cache = await loadUsageCache();
+	let from = cache[oldFolder.accountId];
+	let to = cache[newFolder.accountId];
+	if (!from || from.invalid) return;
+	// the unique-message maps refer to folder paths too; moving messages between two maps needs a walk
+	let sameAccount = oldFolder.accountId === newFolder.accountId;
+	if (!to || to.invalid || (!sameAccount && (from.unique || to.unique))) { from.invalid = true; scheduleUsageCacheSave(); return; }
+
+	let inSubtree = (path) => path === oldFolder.path || path.startsWith(`${oldFolder.path}/`);
+	let movePath = (path) => newFolder.path + path.slice(oldFolder.path.length);
+	for (let path of Object.keys(from.folders)) {
+		if (!inSubtree(path)) continue;
+		let f = from.folders[path];
+		delete from.folders[path];
+		to.folders[movePath(path)] = { ...f, name: path === oldFolder.path ? (newFolder.name || f.name) : f.name };
+	}
+
+	let unique = await getUniqueMessages(oldFolder.accountId, from);
+	if (unique) {
+		for (let rec of Object.values(unique)) {
+			for (let i = 1; i < rec.length; i++) if (inSubtree(rec[i])) rec[i] = movePath(rec[i]);
+		}
+		scheduleUniqueMessagesSave(oldFolder.accountId, from);
+	} else if (from.unique) {
+		from.unique = false;
+	}
+	scheduleUsageCacheSave();
+}
+
+async function removeCachedFolderPaths(folder) {
+	markScansStale(folder.accountId);
+	let cache = await loadUsageCache();
+	let entry = cache[folder.accountId];
+	if (!entry || entry.invalid) return;
+	let inSubtree = (path) => path === folder.path || path.startsWith(`${folder.path}/`);
+	for (let path of Object.keys(entry.folders)) {
+		if (inSubtree(path)) delete entry.folders[path];
+	}
+
+	let unique = await getUniqueMessages(folder.accountId, entry);
+	if (unique) {
+		for (let [key, [size, ...paths]] of Object.entries(unique)) {
+			let kept = paths.filter(path => !inSubtree(path));
+			if (!kept.length) delete unique[key];
+			else if (kept.length < paths.length) unique[key] = [size, ...kept];
+		}
+		scheduleUniqueMessagesSave(folder.accountId, entry);
+	} else if (entry.unique) {
+		entry.unique = false;
+	}
+	scheduleUsageCacheSave();
+}
+
+let newMailCheckTimers = new Map(); // accountId -> timeout id
+
+/** Re-evaluate an account soon after new mail, from the (just updated) usage cache */
+function scheduleNewMailCheck(accountId) {
+	clearTimeout(newMailCheckTimers.get(accountId));
+	newMailCheckTimers.set(accountId, setTimeout(() => {
+		newMailCheckTimers.delete(accountId);
+		checkAllAccounts({ onlyAccountId: accountId, cachedOnly: true, reason: 'newMail' }).catch(console.error);
+	}, MFA_NEW_MAIL_CHECK_DELAY_MS));
+}
+
+browser.messages.onNewMailReceived.addListener(async (folder, messageList) => {
+	try { await applyMessagesToCache(await collectMessages(messageList), 1, folder); }
+	catch (e) { console.error('[MFA] Usage cache update failed', e); }
+	scheduleNewMailCheck(folder.accountId);
+});
+
+browser.messages.onDeleted.addListener(async (messageList) => {
+	try { await applyMessagesToCache(await collectMessages(messageList), -1); }
+	catch (e) { console.error('[MFA] Usage cache update failed', e); }
+});
+
+browser.messages.onMoved.addListener(async (originalMessages, movedMessages) => {
+	try {
+		await applyMessagesToCache(await collectMessages(originalMessages), -1);
+		await applyMessagesToCache(await collectMessages(movedMessages), 1);
+	} catch (e) { console.error('[MFA] Usage cache update failed', e); }
+});
+
+browser.messages.onCopied.addListener(async (originalMessages, copiedMessages) => {
+	try { await applyMessagesToCache(await collectMessages(copiedMessages), 1); }
+	catch (e) { console.error('[MFA] Usage cache update failed', e); }
+});
+
+browser.folders.onCreated.addListener(async (folder) => {
+	markScansStale(folder.accountId);
+	let cache = await loadUsageCache();
+	let entry = cache[folder.accountId];
+	if (!entry || entry.invalid || entry.folders[folder.path]) return;
+	entry.folders[folder.path] = { name: folder.name || folder.path, type: folder.type || null, bytes: 0, count: 0 };
+	scheduleUsageCacheSave();
+});
+
+browser.folders.onDeleted.addListener((folder) => {
+	removeCachedFolderPaths(folder).catch(console.error);
+});
+
+browser.folders.onRenamed.addListener((originalFolder, renamedFolder) => {
+	moveCachedFolderPaths(originalFolder, renamedFolder).catch(console.error);
+});
+
+browser.folders.onMoved.addListener((originalFolder, movedFolder) => {
+	moveCachedFolderPaths(originalFolder, movedFolder).catch(console.error);
+});
+
+browser.folders.onCopied.addListener((originalFolder, copiedFolder) => {
+	// copies bring their messages along; we don't know their sizes without a walk
+	invalidateAccountUsage(copiedFolder.accountId).catch(console.error);
+});
+
+/* ===========================
+* Folder rules & accounting mode (what counts toward the quota)
+* =========================== */
+
+/** Sanitized folder rules of an account: { excludePaths, excludeTypes, excludePatterns } */
+function getFolderRules(conf) {
+	let rules = conf?.folderRules || {};
+	let strings = (list) => (Array.isArray(list) ? list : []).map(v => String(v).trim()).filter(Boolean);
+	return {
+		excludePaths: strings(rules.excludePaths),
+		excludeTypes: strings(rules.excludeTypes).filter(type => MFA_FOLDER_RULE_TYPES.includes(type)),
+		excludePatterns: strings(rules.excludePatterns)
+	};
+}
+
+/** Name pattern with "*" and "?" wildcards, matched case-insensitively against the whole name */
+function folderPatternToRegExp(pattern) {
+	let source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+	return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Why a folder does not count toward the quota: 'path' (excluded itself), 'parent' (an excluded
+ * parent folder), 'type' (special-use type) or 'pattern' (name or path matches); null = counted
+ */
+function getFolderExclusion(rules, path, folder) {
+	if (rules.excludePaths.includes(path)) return 'path';
+	if (rules.excludePaths.some(p => path.startsWith(p.endsWith('/') ? p : `${p}/`))) return 'parent';
+	if (folder?.type && rules.excludeTypes.includes(folder.type)) return 'type';
+	let relPath = path.replace(/^\//, '');
+	if (rules.excludePatterns.some(p => {
+		let re = folderPatternToRegExp(p);
+		return re.test(folder?.name || '') || re.test(relPath);
+	})) return 'pattern';
+	return null;
+}
+
+/** Gmail / Google Workspace: a Gmail address or the "[Gmail]" folder tree (labels are folders there) */
+function isGmailAccount(account) {
+	if (account?.type !== 'imap') return false;
+	let domains = (account.identities || []).map(i => String(i.email || '').split('@').pop().toLowerCase());
+	if (domains.some(d => MFA_GMAIL_DOMAINS.includes(d))) return true;
+	return (account.rootFolder?.subFolders || []).some(f => MFA_GMAIL_FOLDER_PATHS.includes(f.path));
+}
+
+function getAccountingSetting(conf) {
+	return MFA_ACCOUNTING_MODES.includes(conf?.accountingMode) ? conf.accountingMode : MFA_DEFAULT_ACCOUNTING_MODE;
+}
+
+/** Accounting mode actually used for the local sum: 'folders' or 'unique' */
+function getAccountingMode(account, conf) {
+	let setting = getAccountingSetting(conf);
+	if (setting !== 'auto') return setting;
+	return isGmailAccount(account) ? 'unique' : 'folders';
+}
+
+/* ===========================
+* Server quota (IMAP QUOTA / GETQUOTAROOT)
+* =========================== */
+
+/** Find the inbox of an account (the usual quota root), falls back to the first top-level folder */
+function findInboxFolder(rootFolder) {
+	let children = Array.isArray(rootFolder?.subFolders) ? rootFolder.subFolders : [];
+	let inbox = children.find(f => f.type === 'inbox' || (Array.isArray(f.specialUse) && f.specialUse.includes('inbox')));
+	return inbox || children[0] || null;
+}
+
+/**
+ * Read the server-reported storage quota of an account.
+ * Newer Thunderbird versions expose it in folders.getFolderInfo(); returns null if unavailable.
+ */
+async function getServerQuota(account) {
+	if (!account?.rootFolder || typeof browser.folders?.getFolderInfo !== 'function') return null;
+
+	let candidates = [findInboxFolder(account.rootFolder), account.rootFolder].filter(Boolean);
+	for (let folder of candidates) {
+		let info = null;
+		try { info = await browser.folders.getFolderInfo(folder.id ?? folder); } catch (e) { continue; }
+
+		let storage = (Array.isArray(info?.quota) ? info.quota : []).find(q => q.type === 'STORAGE');
+		if (storage && Number(storage.limit) > 0) {
+			return { limitBytes: Number(storage.limit), usedBytes: Number(storage.used) || 0 };
+		}
+	}
+	return null;
+}
+
+/**
+ * Accounts of a group that share one server mailbox report the same server quota: key to count it only once.
+ * The API does not tell which server an account uses, so the reported numbers identify the mailbox.
+ */
+function getSharedQuotaKey(quota) {
+	if (quota.source !== 'server') return null;
+	return `${quota.limitBytes}:${quota.usedBytes}`;
+}
+
+function getQuotaSource(conf) {
+	return MFA_QUOTA_SOURCES.includes(conf?.quotaSource) ? conf.quotaSource : MFA_DEFAULT_QUOTA_SOURCE;
+}
+
+/**
+ * Resolve the effective limit for an account according to its quota source.
+ * Returns { source: 'server'|'manual'|null, limitBytes, usedBytes } where usedBytes is only set for server quotas.
+ */
+async function resolveAccountQuota(account, conf) {
+	let quotaSource = getQuotaSource(conf);
+	let manualLimit = Number(conf?.limitBytes || 0);
+
+	if (quotaSource !== 'manual') {
+		let server = await getServerQuota(account);
+		if (server) return { source: 'server', limitBytes: server.limitBytes, usedBytes: server.usedBytes };
+		if (quotaSource === 'server') return { source: null, limitBytes: 0, usedBytes: null };
+	}
+
+	if (manualLimit > 0) return { source: 'manual', limitBytes: manualLimit, usedBytes: null };
+	return { source: null, limitBytes: 0, usedBytes: null };
+}
+
+/* ===========================
+* Provider presets
+* =========================== */
+
+/** Preset matching the account's identity email domains (or its name, which defaults to the address), or null */
+function getProviderPreset(account) {
+	let addresses = (account?.identities || []).map(i => i.email);
+	addresses.push(account?.name);
+	for (let address of addresses) {
+		let domain = String(address || '').split('@').pop().trim().toLowerCase();
+		let preset = MFA_PROVIDER_PRESETS.find(p => p.domains.includes(domain));
+		if (preset) return preset;
+	}
+	return null;
+}
+
+/** Accounts without any settings yet (new ones, or all of them on first use) start with their provider's mailbox size */
+async function applyProviderPresetsToNewAccounts(accounts) {
+	let perAccount = await getPerAccountConfig();
+	let policy = await getManagedPolicy();
+	let changed = false;
+	for (let acc of accounts) {
+		if (perAccount[acc.id]) continue;
+		if (getAccountPolicy(acc, policy).values.limitBytes) continue; // the organization's limit applies
+		let preset = getProviderPreset(acc);
+		if (!preset) continue;
+		perAccount[acc.id] = { limitBytes: preset.limitBytes, presetId: preset.id };
+		changed = true;
+	}
+	if (changed) await setPerAccountConfig(perAccount);
+	return changed;
+}
+
+/* ===========================
+* Managed policy (storage.managed, set through Thunderbird enterprise policies)
+* =========================== */
+
+/*
+ * Policy format ("3rdparty" > "Extensions" > add-on id in policies.json):
+ * { intervalMin, thresholdPct, criticalPct, fullPct, quotaSource, limitGB,
+ *   domains: { "example.com": { limitGB, thresholdPct, ... } },
+ *   locked: ["intervalMin", "limitBytes", "thresholdPct", ...] }
+ * Unlocked values are defaults under the user's settings, locked ones always win.
+ */
+let managedPolicy = null; // promise of the normalized policy (null without one)
+
+/** Per-account values of a policy entry (top level or one domain) */
+function readPolicyAccountValues(src) {
+	let out = {};
+	let gb = Number(src?.limitGB);
+	let bytes = Number(src?.limitBytes);
+	if (gb > 0) out.limitBytes = Math.round(gb * MFA_GB);
+	else if (bytes > 0) out.limitBytes = bytes;
+	if (MFA_QUOTA_SOURCES.includes(src?.quotaSource)) out.quotaSource = src.quotaSource;
+	for (let key of ['thresholdPct', 'criticalPct', 'fullPct']) {
+		let pct = Number(src?.[key]);
+		if (src?.[key] != null && Number.isFinite(pct) && pct >= 0 && pct <= 100) out[key] = pct;
+	}
+	return out;
+}
+
+function normalizeManagedPolicy(raw) {
+	if (!raw || typeof raw !== 'object' || !Object.keys(raw).length) return null;
+	let minutes = Number(raw.intervalMin);
+	let domains = {};
+	for (let [domain, entry] of Object.entries(raw.domains || {})) domains[domain.toLowerCase()] = readPolicyAccountValues(entry);
+	return {
+		intervalMin: raw.intervalMin != null && Number.isFinite(minutes) && minutes >= 0 ? Math.floor(minutes) : null,
+		account: readPolicyAccountValues(raw),
+		domains,
+		locked: new Set(Array.isArray(raw.locked) ? raw.locked : [])
+	};
+}
+
+async function getManagedPolicy() {
+	if (!managedPolicy) {
+		// rejects when no policy is installed for the add-on
+		managedPolicy = browser.storage.managed.get().then(normalizeManagedPolicy).catch(() => null);
+	}
+	return await managedPolicy;
+}
+
+/** Policy values for an account (its identity domain first, then the top-level values) and the locked ones among them */
+function getAccountPolicy(account, policy) {
+	if (!policy) return { values: {}, locked: [] };
+	let domains = getAccountEmails(account).map(e => e.split('@')[1]);
+	let domainValues = domains.map(d => policy.domains[d]).find(Boolean) || {};
+	let values = { ...policy.account, ...domainValues };
+	return { values, locked: MFA_POLICY_ACCOUNT_FIELDS.filter(key => key in values && policy.locked.has(key)) };
+}
+
+/** perAccount as the checks see it: policy defaults under the user's settings, locked policy values over them */
+async function getEffectivePerAccountConfig(accounts = null) {
+	let perAccount = await getPerAccountConfig();
+	let policy = await getManagedPolicy();
+	if (!policy) return perAccount;
+
+	let out = { ...perAccount };
+	for (let acc of accounts || await browser.accounts.list(false)) {
+		let { values, locked } = getAccountPolicy(acc, policy);
+		let conf = { ...values, ...(perAccount[acc.id] || {}) };
+		for (let key of locked) conf[key] = values[key];
+		out[acc.id] = conf;
+	}
+	return out;
+}
+
+/**
+ * Drop policy fields from settings saved by the options page or imported: locked ones, and unlocked ones still equal
+ * to the policy default (the page posts every field, so these are the default shown, not a choice of the user).
+ * Either would only shadow later policy changes.
+ */
+async function stripPolicyFields(payload) {
+	let policy = await getManagedPolicy();
+	if (!policy) return payload;
+	let accounts = await browser.accounts.list(false);
+	for (let [id, conf] of Object.entries(payload)) {
+		let acc = accounts.find(a => a.id === id);
+		if (!acc || !conf) continue;
+		let { values, locked } = getAccountPolicy(acc, policy);
+		for (let key of locked) delete conf[key];
+		for (let [key, value] of Object.entries(values)) {
+			if (conf[key] === value) delete conf[key];
+		}
+	}
+	return payload;
+}
+
+browser.storage.onChanged.addListener((changes, area) => {
+	if (area !== 'managed') return;
+	managedPolicy = null;
+	scheduleChecksFromSettings().catch(console.error);
+});
+
+/* ===========================
+* Storage helpers
+* =========================== */
+
+async function getPerAccountConfig() {
+	let { perAccount = {} } = await browser.storage.local.get({ perAccount: {} });
+	// { [id]: { active, limitBytes, thresholdPct, criticalPct, fullPct, freeThresholdBytes,
+	//          quotaSource:'auto'|'server'|'manual', renotifyPolicy, renotifyGrowthPct,
+	//          folderRules: { excludePaths, excludeTypes, excludePatterns }, accountingMode:'auto'|'folders'|'unique',
+	//          presetId (provider preset the limit was pre-filled from), groupId (quota group, see getQuotaGroups) } }
+	return perAccount;
+}
+
+async function setPerAccountConfig(perAccount) {
+	await browser.storage.local.set({ perAccount });
+}
+
+/** { [groupId]: { name, active, limitBytes, thresholdPct, criticalPct, fullPct, freeThresholdBytes, renotifyPolicy, renotifyGrowthPct } } */
+async function getQuotaGroups() {
+	let obj = await browser.storage.local.get({ [MFA_QUOTA_GROUPS_KEY]: {} });
+	return obj[MFA_QUOTA_GROUPS_KEY] || {};
+}
+
+async function setQuotaGroups(groups) {
+	await browser.storage.local.set({ [MFA_QUOTA_GROUPS_KEY]: groups });
+}
+
+/** Check interval: a locked policy value, else the user's choice, else the policy default or the built-in one */
+async function getGlobalIntervalMin() {
+	let policy = await getManagedPolicy();
+	if (isIntervalLocked(policy)) return policy.intervalMin;
+
+	let fallback = policy?.intervalMin ?? MFA_DEFAULT_CHECK_INTERVAL_MIN;
+	let obj = await browser.storage.local.get({ [MFA_GLOBAL_INTERVAL_KEY]: fallback });
+	let val = obj[MFA_GLOBAL_INTERVAL_KEY];
+	return Number.isFinite(val) ? val : fallback;
+}
+
+function isIntervalLocked(policy) {
+	return policy?.intervalMin != null && policy.locked.has('intervalMin');
+}
+
+async function setGlobalIntervalMin(minutes) {
+	await browser.storage.local.set({ [MFA_GLOBAL_INTERVAL_KEY]: minutes });
+}
+
+/* ===========================
+* Quota groups
+* =========================== */
+
+/** Id under which a group is notified, snoozed and kept in the history (like an account id) */
+function getGroupTargetId(groupId) {
+	return `${MFA_GROUP_ID_PREFIX}${groupId}`;
+}
+
+function isGroupTargetId(id) {
+	return String(id || '').startsWith(MFA_GROUP_ID_PREFIX);
+}
+
+/** Group an account belongs to (only if that group still exists), or null */
+function getAccountGroupId(conf, groups) {
+	return conf?.groupId && groups[conf.groupId] ? conf.groupId : null;
+}
+
+/** Used bytes of an account: server-reported usage, otherwise the local sum according to its folder rules */
+async function getAccountUsedBytes(account, conf, quota, { rescan = false, deadline = 0, onWalk = null } = {}) {
+	if (quota.source === 'server') return quota.usedBytes;
+	let unique = getAccountingMode(account, conf) === 'unique';
+	return await sumAccountBytes(account.id, { rescan, folderRules: conf.folderRules, unique, deadline, onWalk });
+}
+
+/** Remove a group; its members are monitored on their own again */
+async function removeQuotaGroup(groupId) {
+	let groups = await getQuotaGroups();
+	delete groups[groupId];
+	await setQuotaGroups(groups);
+
+	let perAccount = await getPerAccountConfig();
+	for (let conf of Object.values(perAccount)) {
+		if (conf.groupId === groupId) delete conf.groupId;
+	}
+	await setPerAccountConfig(perAccount);
+
+	let targetId = getGroupTargetId(groupId);
+	await clearNotification(targetId);
+	await browser.storage.local.remove([getNotifyStateKey(targetId), getHistoryKey(targetId)]);
+	accountStatus.delete(targetId);
+}
+
+/* ===========================
+* Account lifecycle & orphaned state
+* =========================== */
+
+/** Tell an open options page about an account added, renamed or removed in Thunderbird */
+function broadcastAccountsChanged(change, accountId, extra = {}) {
+	browser.runtime.sendMessage({ type: 'accountsChanged', change, accountId, ...extra }).catch(() => { /* no page open */ });
+}
+
+/** Forget everything stored for a removed account (or group target): settings, cache, alert state, history, snooze */
+async function removeAccountState(accountId) {
+	cancelScan(accountId);
+	await clearNotification(accountId);
+	accountStatus.delete(accountId);
+
+	let perAccount = await getPerAccountConfig();
+	if (accountId in perAccount) {
+		delete perAccount[accountId];
+		await setPerAccountConfig(perAccount);
+	}
+	await removeCachedAccountUsage(accountId);
+	await browser.storage.local.remove([
+		getNotifyStateKey(accountId),
+		`${MFA_LEGACY_NOTIFY_STATE_KEY_PREFIX}${accountId}`,
+		getHistoryKey(accountId)
+	]);
+
+	let obj = await browser.storage.local.get({ [MFA_SNOOZE_KEY]: {}, [MFA_PENDING_ALERTS_KEY]: {} });
+	for (let key of [MFA_SNOOZE_KEY, MFA_PENDING_ALERTS_KEY]) {
+		if (!obj[key] || !(accountId in obj[key])) continue;
+		delete obj[key][accountId];
+		await browser.storage.local.set({ [key]: obj[key] });
+	}
+}
+
+/** State left behind by accounts deleted while the add-on was not running (or by older versions) */
+async function removeOrphanedState() {
+	let accounts = await browser.accounts.list(false);
+	if (!accounts.length) return; // accounts not loaded (yet): nothing to compare against
+
+	let groups = await getQuotaGroups();
+	let known = new Set([...accounts.map(a => a.id), ...Object.keys(groups).map(getGroupTargetId)]);
+	let all = await browser.storage.local.get(null);
+	let ids = [
+		...Object.keys(all.perAccount || {}),
+		...Object.keys(all[MFA_SNOOZE_KEY] || {}),
+		...Object.keys(all[MFA_PENDING_ALERTS_KEY] || {}),
+		...Object.keys(await loadUsageCache())
+	];
+	for (let key of Object.keys(all)) {
+		for (let prefix of [MFA_NOTIFY_STATE_KEY_PREFIX, MFA_LEGACY_NOTIFY_STATE_KEY_PREFIX, MFA_HISTORY_KEY_PREFIX, MFA_UNIQUE_MESSAGES_KEY_PREFIX]) {
+			if (key.startsWith(prefix)) ids.push(key.slice(prefix.length));
+		}
+	}
+
+	for (let id of new Set(ids)) {
+		if (!known.has(id)) await removeAccountState(id);
+	}
+}
+
+/* ===========================
+* Usage history & forecast
+* =========================== */
+
+function getHistoryKey(accountId) {
+	return `${MFA_HISTORY_KEY_PREFIX}${accountId}`;
+}
+
+async function getUsageHistory(accountId) {
+	let key = getHistoryKey(accountId);
+	let obj = await browser.storage.local.get({ [key]: [] });
+	return Array.isArray(obj[key]) ? obj[key] : []; // [{ t:ms, used:bytes, limit:bytes }], oldest first
+}
+
+/**
+ * Thin out samples: one per 15 minutes for the last 2 days, one per 6 hours up to 30 days,
+ * one per day after that; nothing older than the retention period. At most 192 + 112 + 150 samples,
+ * so the cap never cuts off the older tiers (even with a 5-minute interval).
+ */
+function downsampleHistory(samples, now = Date.now()) {
+	let minute = 60 * 1000;
+	let day = 24 * 60 * minute;
+	let buckets = new Map();
+
+	for (let s of samples) {
+		let age = now - s.t;
+		if (age > MFA_HISTORY_RETENTION_DAYS * day) continue;
+
+		let bucket;
+		if (age <= 2 * day) bucket = `q${Math.floor(s.t / (15 * minute))}`;
+		else if (age <= 30 * day) bucket = `h${Math.floor(s.t / (6 * 60 * minute))}`;
+		else bucket = `d${Math.floor(s.t / day)}`;
+		buckets.set(bucket, s); // samples are sorted, so the latest one of a bucket wins
+	}
+
+	return [...buckets.values()].slice(-MFA_HISTORY_MAX_SAMPLES);
+}
+
+async function recordUsageSample(accountId, used, limit) {
+	let samples = await getUsageHistory(accountId);
+	samples.push({ t: Date.now(), used, limit });
+	await browser.storage.local.set({ [getHistoryKey(accountId)]: downsampleHistory(samples) });
+}
+
+/**
+ * Estimate growth (bytes/day) by linear regression over the recent samples and derive
+ * how many days are left until the threshold and 100%. Values are null if unknown or not growing.
+ */
+function forecastUsage(samples, used, limit, thresholdPct, now = Date.now()) {
+	let day = 24 * 60 * 60 * 1000;
+	let recent = samples.filter(s => now - s.t <= MFA_FORECAST_WINDOW_DAYS * day);
+	let result = { growthBytesPerDay: null, daysToThreshold: null, daysToFull: null };
+	if (recent.length < 2 || recent[recent.length - 1].t - recent[0].t < MFA_FORECAST_MIN_SPAN_MS) return result;
+
+	let n = recent.length;
+	let meanX = recent.reduce((a, s) => a + s.t / day, 0) / n;
+	let meanY = recent.reduce((a, s) => a + s.used, 0) / n;
+	let num = 0;
+	let den = 0;
+	for (let s of recent) {
+		let dx = s.t / day - meanX;
+		num += dx * (s.used - meanY);
+		den += dx * dx;
+	}
+	if (!den) return result;
+
+	let growth = num / den;
+	result.growthBytesPerDay = growth;
+	if (!(growth > 0) || !(limit > 0)) return result;
+
+	let daysUntil = (targetBytes) => Math.max(0, (targetBytes - used) / growth);
+	result.daysToThreshold = daysUntil(limit * thresholdPct / 100);
+	result.daysToFull = daysUntil(limit);
+	return result;
+}
+
+/* ===========================
+* Alert levels (warning / critical / full)
+* =========================== */
+
+/**
+ * Enabled levels of an account, ascending. The warning level is the classic `thresholdPct`;
+ * all levels are optional (0 = off, e.g. when only the free-space rule is wanted),
+ * critical/full are ignored unless above the previous level.
+ */
+function getAccountLevels(conf) {
+	let pcts = {
+		warning: Number.isFinite(conf?.thresholdPct) ? conf.thresholdPct : MFA_DEFAULT_THRESHOLD_PCT,
+		critical: Number.isFinite(conf?.criticalPct) ? conf.criticalPct : MFA_DEFAULT_CRITICAL_PCT,
+		full: Number.isFinite(conf?.fullPct) ? conf.fullPct : MFA_DEFAULT_FULL_PCT
+	};
+
+	let out = [];
+	for (let def of MFA_LEVELS) {
+		let pct = pcts[def.key];
+		if (!(pct > 0)) continue;
+		if (out.length && pct <= out[out.length - 1].pct) continue;
+		out.push({ ...def, pct });
+	}
+	return out;
+}
+
+/** Highest level reached at the given usage, or null */
+function getReachedLevel(levels, pctUsed) {
+	let reached = null;
+	for (let level of levels) {
+		if (pctUsed >= level.pct) reached = level;
+	}
+	return reached;
+}
+
+/** Free-space rule of an account in bytes (0 = off) */
+function getFreeThresholdBytes(conf) {
+	let bytes = Number(conf?.freeThresholdBytes || 0);
+	return bytes > 0 ? bytes : 0;
+}
+
+/**
+ * Level for the current usage, honouring both rules: the percent levels and the free-space rule.
+ * The free-space rule counts as the warning level; a percent level reached at the same time wins.
+ * Returned levels carry `trigger: 'pct' | 'free'`.
+ */
+function evaluateLevel(levels, pctUsed, used, limit, freeThresholdBytes) {
+	let reached = getReachedLevel(levels, pctUsed);
+	if (reached) return { ...reached, trigger: 'pct' };
+
+	if (freeThresholdBytes > 0 && limit - used < freeThresholdBytes) {
+		let warning = MFA_LEVELS[0];
+		return { ...warning, lineKey: 'notifyLineFree', pct: null, freeThresholdBytes, trigger: 'free' };
+	}
+	return null;
+}
+
+/** Usage (%) at which the first rule fires; used for the forecast */
+function getFirstAlertPct(levels, limit, freeThresholdBytes) {
+	let pcts = levels.map(l => l.pct);
+	if (freeThresholdBytes > 0 && limit > 0) pcts.push(Math.max(0, (1 - freeThresholdBytes / limit) * 100));
+	return pcts.length ? Math.min(...pcts) : MFA_DEFAULT_THRESHOLD_PCT;
+}
+
+/** Severity rank of a level key: -1 = none, 0 = warning, ... */
+function getLevelRank(levelKey) {
+	return MFA_LEVELS.findIndex(l => l.key === levelKey);
+}
+
+function getNotifyStateKey(accountId) {
+	return `${MFA_NOTIFY_STATE_KEY_PREFIX}${accountId}`;
+}
+
+/** Last notified level per account: { level: 'warning'|'critical'|'full'|null, pct, notifiedAt, notifiedPct } */
+async function getNotifyState(accountId) {
+	let key = getNotifyStateKey(accountId);
+	let obj = await browser.storage.local.get({ [key]: null });
+	let st = obj[key];
+	return st && typeof st === 'object' ? st : { level: null, pct: 0 };
+}
+
+async function setNotifyState(accountId, state) {
+	await browser.storage.local.set({ [getNotifyStateKey(accountId)]: state });
+}
+
+/** Drop the per-account "last notified percent" keys of older versions (replaced by the notify state) */
+async function removeLegacyNotifyState() {
+	let all = await browser.storage.local.get(null);
+	let legacy = Object.keys(all).filter(k => k.startsWith(MFA_LEGACY_NOTIFY_STATE_KEY_PREFIX));
+	if (legacy.length) await browser.storage.local.remove(legacy);
+}
+
+/* ===========================
+* Re-notification policy, snooze & acknowledge
+* =========================== */
+
+function getRenotifyPolicy(conf) {
+	let policy = MFA_RENOTIFY_POLICIES.includes(conf?.renotifyPolicy) ? conf.renotifyPolicy : MFA_DEFAULT_RENOTIFY_POLICY;
+	let growthPct = Number(conf?.renotifyGrowthPct);
+	return { policy, growthPct: growthPct > 0 ? growthPct : MFA_DEFAULT_RENOTIFY_GROWTH_PCT };
+}
+
+/**
+ * Should an account that stays on the same level be notified again?
+ * (Reaching a higher level always notifies, see checkAllAccounts.)
+ */
+function shouldRenotify(conf, level, state, pctUsed, { scheduled = false, now = Date.now() } = {}) {
+	let { policy, growthPct } = getRenotifyPolicy(conf);
+	if (policy === 'crossing') return false;
+	if (policy === 'daily') return scheduled && now - Number(state.notifiedAt || 0) >= MFA_DAY_MS;
+	if (policy === 'growth') return Number.isFinite(state.notifiedPct) && pctUsed - state.notifiedPct >= growthPct;
+	return scheduled && level.renotify === 'scheduled'; // 'level': each level's own rule
+}
+
+/** { [accountId]: { until:ms } (snoozed) | { acknowledged:true, level } } */
+async function getSnoozes() {
+	let obj = await browser.storage.local.get({ [MFA_SNOOZE_KEY]: {} });
+	return obj[MFA_SNOOZE_KEY] || {};
+}
+
+async function setSnooze(accountId, entry) {
+	let snoozes = await getSnoozes();
+	if (entry) snoozes[accountId] = entry;
+	else delete snoozes[accountId];
+	await browser.storage.local.set({ [MFA_SNOOZE_KEY]: snoozes });
+}
+
+async function snoozeAccount(accountId, days) {
+	let d = Math.max(1, Math.floor(Number(days) || 1));
+	await setSnooze(accountId, { until: Date.now() + d * MFA_DAY_MS });
+	await clearNotification(accountId);
+}
+
+/** Acknowledge the current level: silent until a higher level is reached (or usage drops below all levels) */
+async function acknowledgeAccount(accountId) {
+	let state = await getNotifyState(accountId);
+	await setSnooze(accountId, { acknowledged: true, level: state.level });
+	await clearNotification(accountId);
+}
+
+async function clearAcknowledgement(accountId) {
+	let entry = (await getSnoozes())[accountId];
+	if (entry?.acknowledged) await setSnooze(accountId, null);
+}
+
+/** Active snooze/acknowledge entry for an account at the given level, or null (expired entries are dropped) */
+async function getActiveSnooze(accountId, level = null) {
+	let entry = (await getSnoozes())[accountId];
+	if (!entry) return null;
+
+	if (entry.until) {
+		if (Date.now() < entry.until) return entry;
+		await setSnooze(accountId, null);
+		return null;
+	}
+	if (entry.acknowledged) {
+		if (!level || getLevelRank(level.key) <= getLevelRank(entry.level)) return entry;
+		return null; // escalated beyond the acknowledged level
+	}
+	return null;
+}
+
+/* ===========================
+* Quiet hours
+* =========================== */
+
+async function getQuietHours() {
+	let obj = await browser.storage.local.get({ [MFA_QUIET_HOURS_KEY]: MFA_DEFAULT_QUIET_HOURS });
+	return { ...MFA_DEFAULT_QUIET_HOURS, ...(obj[MFA_QUIET_HOURS_KEY] || {}) };
+}
+
+async function setQuietHours(quietHours) {
+	await browser.storage.local.set({ [MFA_QUIET_HOURS_KEY]: quietHours });
+}
+
+/** Quiet hours as stored, from untrusted input (options page, imported file) */
+function normalizeQuietHours(qh) {
+	qh = qh || {};
+	return {
+		enabled: qh.enabled === true,
+		days: (Array.isArray(qh.days) ? qh.days : []).map(Number).filter(d => Number.isInteger(d) && d >= 0 && d <= 6),
+		start: parseTimeOfDay(qh.start) != null ? qh.start : MFA_DEFAULT_QUIET_HOURS.start,
+		end: parseTimeOfDay(qh.end) != null ? qh.end : MFA_DEFAULT_QUIET_HOURS.end
+	};
+}
+
+/** "HH:MM" -> minutes after midnight, or null */
+function parseTimeOfDay(str) {
+	let m = /^(\d{1,2}):(\d{2})$/.exec(String(str || ''));
+	if (!m) return null;
+	let h = Number(m[1]);
+	let min = Number(m[2]);
+	return h < 24 && min < 60 ? h * 60 + min : null;
+}
+
+/**
+ * Is `now` inside the quiet window? Windows may span midnight (22:00–07:00);
+ * the days of week refer to the day the window starts.
+ */
+function isInQuietHours(qh, now = new Date()) {
+	if (!qh?.enabled || !Array.isArray(qh.days)) return false;
+	let start = parseTimeOfDay(qh.start);
+	let end = parseTimeOfDay(qh.end);
+	if (start == null || end == null || start === end) return false;
+
+	let mins = now.getHours() * 60 + now.getMinutes();
+	let day = now.getDay();
+	if (start < end) return qh.days.includes(day) && mins >= start && mins < end;
+	if (mins >= start) return qh.days.includes(day);
+	if (mins < end) return qh.days.includes((day + 6) % 7);
+	return false;
+}
+
+/** End of the current quiet window as timestamp (only meaningful while inside it) */
+function getQuietHoursEnd(qh, now = new Date()) {
+	let end = parseTimeOfDay(qh.end);
+	let mins = now.getHours() * 60 + now.getMinutes();
+	let d = new Date(now);
+	d.setHours(Math.floor(end / 60), end % 60, 0, 0);
+	if (mins >= end) d.setDate(d.getDate() + 1);
+	return d.getTime();
+}
+
+/** Hold back an alert until the quiet window ends; delivered by the next check after that */
+async function queuePendingAlert(accountId, qh) {
+	let obj = await browser.storage.local.get({ [MFA_PENDING_ALERTS_KEY]: {} });
+	let pending = obj[MFA_PENDING_ALERTS_KEY] || {};
+	pending[accountId] = Date.now();
+	await browser.storage.local.set({ [MFA_PENDING_ALERTS_KEY]: pending });
+	await browser.alarms.create(MFA_QUIET_HOURS_ALARM, { when: getQuietHoursEnd(qh) + 1000 });
+}
+
+/**
+ * Ids with a held-back alert (none while still in quiet hours); optionally only for some accounts.
+ * They stay queued until delivered (see removePendingAlert): a check that fails or defers an account keeps its alert.
+ */
+async function getPendingAlerts(onlyAccountIds = null) {
+	let obj = await browser.storage.local.get({ [MFA_PENDING_ALERTS_KEY]: {} });
+	let pending = obj[MFA_PENDING_ALERTS_KEY] || {};
+	let ids = Object.keys(pending).filter(id => !onlyAccountIds || onlyAccountIds.includes(id));
+	if (!ids.length || isInQuietHours(await getQuietHours())) return [];
+	return ids;
+}
+
+/** Drop a held-back alert once its target was evaluated again */
+async function removePendingAlert(targetId) {
+	let obj = await browser.storage.local.get({ [MFA_PENDING_ALERTS_KEY]: {} });
+	let pending = obj[MFA_PENDING_ALERTS_KEY] || {};
+	if (!(targetId in pending)) return;
+	delete pending[targetId];
+	await browser.storage.local.set({ [MFA_PENDING_ALERTS_KEY]: pending });
+}
+
+/* ===========================
+* Notifications & UI badge
+* =========================== */
+
+function getNotificationId(accountId) {
+	return `${MFA_NOTIFICATION_ID_PREFIX}${accountId}`;
+}
+
+async function clearNotification(accountId) {
+	try {
+		await browser.notifications.clear(getNotificationId(accountId));
+	} catch (e) {
+		// ignore
+	}
+}
+
+/** Show the quota notification unless the account is snoozed/acknowledged or it is quiet time; returns true if shown */
+async function notify(account, used, limit, pctUsed, level, forecast = null) {
+	if (await getActiveSnooze(account.id, level)) return false;
+
+	let qh = await getQuietHours();
+	if (isInQuietHours(qh)) {
+		await queuePendingAlert(account.id, qh);
+		return false;
+	}
+
+	let title = browser.i18n.getMessage(level.titleKey, account.name || account.id);
+	let line1 = browser.i18n.getMessage('notifyLineUsed', [
+		await formatBytes(used),
+		await formatBytes(limit),
+		pctUsed.toFixed(1)
+	]);
+	let line2 = level.trigger === 'free'
+		? browser.i18n.getMessage(level.lineKey, [await formatBytes(Math.max(0, limit - used)), await formatBytes(level.freeThresholdBytes)])
+		: browser.i18n.getMessage(level.lineKey, [`${level.pct}%`]);
+	let lines = [line1, line2];
+	// no "full in ~0 days" once the limit is reached (or about to be)
+	let daysToFull = Math.round(forecast?.daysToFull);
+	if (pctUsed < 100 && daysToFull > 0) {
+		lines.push(browser.i18n.getMessage('notifyLineForecast', [String(daysToFull)]));
+	}
+
+	// use a stable id so repeated notifications for the same account replace each other
+	await browser.notifications.create(getNotificationId(account.id), {
+		type: 'basic',
+		iconUrl: 'icons/icon-96.png',
+		title,
+		message: lines.join('\n')
+	});
+	return true;
+}
+
+/* ===========================
+* Toolbar: badge, gauge icon & tooltip
+* =========================== */
+
+/* latest evaluated status per monitored account: { name, pct, freeBytes, level, color, trigger } */
+let accountStatus = new Map();
+
+async function getBadgeMode() {
+	let obj = await browser.storage.local.get({ [MFA_BADGE_MODE_KEY]: MFA_DEFAULT_BADGE_MODE });
+	return MFA_BADGE_MODES.includes(obj[MFA_BADGE_MODE_KEY]) ? obj[MFA_BADGE_MODE_KEY] : MFA_DEFAULT_BADGE_MODE;
+}
+
+async function setBadgeMode(mode) {
+	await browser.storage.local.set({ [MFA_BADGE_MODE_KEY]: mode });
+}
+
+/** Most critical status: highest level first, then highest percentage */
+function pickWorstStatus(list) {
+	let worst = null;
+	for (let s of list) {
+		let rank = getLevelRank(s.level);
+		let worstRank = worst ? getLevelRank(worst.level) : -2;
+		if (rank > worstRank || (rank === worstRank && s.pct > worst.pct)) worst = s;
+	}
+	return worst;
+}
+
+/** Short size for the badge (max ~4 chars), e.g. "450M" or "1.2G" */
+function formatBadgeBytes(bytes) {
+	let units = ['K', 'M', 'G', 'T'];
+	let value = Math.max(0, bytes) / 1024;
+	let i = 0;
+	while (value >= 1000 && i < units.length - 1) { value /= 1024; i++; }
+	return `${value >= 10 ? Math.floor(value) : Math.floor(value * 10) / 10}${units[i]}`;
+}
+
+/** Set toolbar badge (text like "85%", "450M" free or a count; null clears it) */
+async function setBadge(text, color = '#d93025') {
+	await browser.browserAction.setBadgeText({ text: text ?? '' });
+	if (text != null) {
+		try { await browser.browserAction.setBadgeBackgroundColor({ color }); } catch { }
+	}
+}
+
+/** Draw a fill-level gauge (mailbox shape filled from the bottom) */
+function drawGaugeImageData(size, pct, color) {
+	let canvas = typeof OffscreenCanvas === 'function'
+		? new OffscreenCanvas(size, size)
+		: Object.assign(document.createElement('canvas'), { width: size, height: size });
+	let ctx = canvas.getContext('2d');
+
+	let line = Math.max(1, Math.round(size / 16));
+	let pad = line;
+	let w = size - 2 * pad;
+	let h = size - 2 * pad;
+	let r = Math.max(1, Math.round(size / 8));
+	let box = () => {
+		ctx.beginPath();
+		ctx.moveTo(pad + r, pad);
+		ctx.arcTo(pad + w, pad, pad + w, pad + h, r);
+		ctx.arcTo(pad + w, pad + h, pad, pad + h, r);
+		ctx.arcTo(pad, pad + h, pad, pad, r);
+		ctx.arcTo(pad, pad, pad + w, pad, r);
+		ctx.closePath();
+	};
+
+	ctx.clearRect(0, 0, size, size);
+	box();
+	ctx.fillStyle = 'rgba(128,128,128,.25)';
+	ctx.fill();
+
+	let fillH = Math.round(h * Math.min(100, Math.max(0, pct)) / 100);
+	ctx.save();
+	box();
+	ctx.clip();
+	ctx.fillStyle = color;
+	ctx.fillRect(pad, pad + h - fillH, w, fillH);
+	ctx.restore();
+
+	box();
+	ctx.lineWidth = line;
+	ctx.strokeStyle = '#5f6368';
+	ctx.stroke();
+
+	return ctx.getImageData(0, 0, size, size);
+}
+
+async function setGaugeIcon(status) {
+	try {
+		if (!status) {
+			await browser.browserAction.setIcon({ path: MFA_DEFAULT_ICON_PATHS });
+			return;
+		}
+		let color = status.level ? status.color : MFA_GAUGE_NORMAL_COLOR;
+		let imageData = {};
+		for (let size of MFA_GAUGE_ICON_SIZES) imageData[size] = drawGaugeImageData(size, status.pct, color);
+		await browser.browserAction.setIcon({ imageData });
+	} catch (e) {
+		console.error('[MFA] Failed to draw toolbar icon', e);
+	}
+}
+
+/** Tooltip with one line per monitored account */
+async function setToolbarTitle(list) {
+	let title = browser.i18n.getMessage('extShortName') || 'MFA';
+	if (list.length) {
+		let lines = [];
+		for (let s of list) {
+			lines.push(browser.i18n.getMessage('tooltipAccountLine', [s.name, s.pct.toFixed(0), await formatBytes(s.freeBytes)]));
+		}
+		title = `${title}\n${lines.join('\n')}`;
+	}
+	await browser.browserAction.setTitle({ title });
+}
+
+/** Repaint badge, icon and tooltip from the latest status of all monitored accounts */
+async function updateToolbar() {
+	let mode = await getBadgeMode();
+	let list = [...accountStatus.values()];
+	let over = list.filter(s => s.level);
+	let worst = pickWorstStatus(over);
+	let highest = pickWorstStatus(list);
+
+	if (mode === 'worst' && worst) {
+		// show what triggered: free space for the free-space rule, otherwise the percentage
+		await setBadge(worst.trigger === 'free' ? formatBadgeBytes(worst.freeBytes) : `${Math.floor(worst.pct)}%`, worst.color);
+	} else if (mode === 'count' && over.length) {
+		await setBadge(String(over.length), worst.color);
+	} else if (mode === 'highest' && highest) {
+		await setBadge(`${Math.floor(highest.pct)}%`, highest.level ? highest.color : MFA_GAUGE_NORMAL_COLOR);
+	} else {
+		await setBadge(null);
+	}
+
+	await setGaugeIcon(highest);
+	await setToolbarTitle(list);
+}
+
+/* ===========================
+* Check log (diagnostics)
+* =========================== */
+
+/** Log entry of one account or group in a check run: { id, name, usedBytes, limitBytes, foldersScanned, level, notified, error, skipped } */
+function logCheckTarget(log, id, name) {
+	let entry = { id, name: name || id };
+	log.targets.push(entry);
+	return entry;
+}
+
+function logCheckError(entry, e) {
+	if (isAbortError(e)) entry.skipped = 'cancelled';
+	else if (isDeferredError(e)) entry.skipped = 'deferred';
+	else entry.error = String(e?.message || e);
+}
+
+/** Folders of the walk a check waited for (not logged when the usage came from the cache) */
+function logWalk(entry, scanned) {
+	let folders = Object.values(scanned.folders || {});
+	entry.foldersScanned = folders.length;
+	entry.bytesScanned = folders.reduce((sum, f) => sum + f.bytes, 0);
+}
+
+/** Last runs, oldest first */
+async function getCheckLog() {
+	let obj = await browser.storage.local.get({ [MFA_CHECK_LOG_KEY]: [] });
+	return Array.isArray(obj[MFA_CHECK_LOG_KEY]) ? obj[MFA_CHECK_LOG_KEY] : [];
+}
+
+let checkLogWrites = Promise.resolve(); // read-modify-write of the log, one at a time
+
+/** Queue a change of the stored log; concurrent checks would otherwise overwrite each other's runs */
+function updateCheckLog(fn) {
+	let write = checkLogWrites.then(async () => {
+		await browser.storage.local.set({ [MFA_CHECK_LOG_KEY]: fn(await getCheckLog()) });
+	});
+	checkLogWrites = write.catch(() => {});
+	return write;
+}
+
+/** Keep the last runs: new-mail re-checks and all other checks have their own limits */
+function trimCheckLog(runs) {
+	let keep = new Set([
+		...runs.filter(run => run.reason === 'newMail').slice(-MFA_CHECK_LOG_MAX_NEW_MAIL_RUNS),
+		...runs.filter(run => run.reason !== 'newMail').slice(-MFA_CHECK_LOG_MAX_RUNS)
+	]);
+	return runs.filter(run => keep.has(run));
+}
+
+async function appendCheckLog(run) {
+	await updateCheckLog(runs => trimCheckLog([...runs, run]));
+}
+
+/* ===========================
+* Core check
+* =========================== */
+
+/** Stop monitoring a target (account or group): no stale notification, and a fresh "cross up" notifies again */
+async function resetTarget(targetId) {
+	await clearNotification(targetId);
+	accountStatus.delete(targetId);
+	try { await setNotifyState(targetId, { level: null, pct: 0 }); } catch (e) { /* ignore */ }
+}
+
+/**
+ * Evaluate the alert levels of one monitored target (an account, or a quota group with `target.id` = "group:<id>"),
+ * record the usage sample (unless `recordHistory` is off), notify as the level and re-notify policy require and remember the state.
+ * Returns { level, notified } for the check log.
+ */
+async function evaluateTarget(target, conf, used, limit, { forceNotify = false, scheduled = false, pending = false, recordHistory = true } = {}) {
+	let levels = getAccountLevels(conf);
+	let freeThreshold = getFreeThresholdBytes(conf);
+	let threshold = getFirstAlertPct(levels, limit, freeThreshold);
+	let pctUsed = (used / limit) * 100;
+
+	let history = [];
+	try {
+		if (recordHistory) await recordUsageSample(target.id, used, limit);
+		history = await getUsageHistory(target.id);
+	} catch (e) { console.error('[MFA] Failed to record usage history', e); }
+	let forecast = forecastUsage(history, used, limit, threshold);
+
+	let state = await getNotifyState(target.id);
+	let level = evaluateLevel(levels, pctUsed, used, limit, freeThreshold);
+	let rank = getLevelRank(level?.key);
+	let escalated = rank > getLevelRank(state.level);
+
+	// If below all levels, clear any existing notification for this target
+	if (!level) {
+		await clearNotification(target.id);
+	}
+
+	accountStatus.set(target.id, {
+		name: target.name || target.id,
+		pct: pctUsed,
+		usedBytes: used,
+		limitBytes: limit,
+		freeBytes: Math.max(0, limit - used),
+		level: level?.key || null,
+		color: level?.color || null,
+		trigger: level?.trigger || null
+	});
+
+	// Notify when a (higher) level is reached, on explicit request, for alerts held back in quiet hours,
+	// or as the re-notify policy allows
+	let renotify = level && (forceNotify || pending || shouldRenotify(conf, level, state, pctUsed, { scheduled }));
+	let notified = false;
+	if (level && (escalated || renotify)) {
+		notified = await notify(target, used, limit, pctUsed, level, forecast);
+	}
+
+	// An acknowledgement ends once usage is back below all levels
+	if (!level) await clearAcknowledgement(target.id).catch(console.error);
+
+	// Remember the current level (also when it dropped, so a later rise notifies again)
+	let pctRounded = Math.round(pctUsed * 10) / 10;
+	await setNotifyState(target.id, {
+		level: level?.key || null,
+		pct: pctRounded,
+		notifiedAt: notified ? Date.now() : (level ? state.notifiedAt || null : null),
+		notifiedPct: notified ? pctRounded : (level ? state.notifiedPct ?? null : null)
+	});
+	return { level: level?.key || null, notified };
+}
+
+/** Body of checkAllAccounts; the outcome of every account and group goes into `log` */
+async function runCheck({ forceNotify = false, scheduled = false, onlyAccountId = null, onlyAccountIds = null, rescan = false, cachedOnly = false } = {}, log) {
+	let accounts = await browser.accounts.list(true);
+	let perAccount = await getEffectivePerAccountConfig(accounts);
+	let groups = await getQuotaGroups();
+	let onlyIds = onlyAccountId ? [onlyAccountId] : onlyAccountIds;
+	let pendingAccountIds = await getPendingAlerts(onlyIds);
+
+	// Checking a group member (or a group) re-evaluates the whole group
+	let onlyGroupIds = new Set((onlyIds || []).map(id => isGroupTargetId(id)
+		? id.slice(MFA_GROUP_ID_PREFIX.length)
+		: getAccountGroupId(perAccount[id], groups)).filter(Boolean));
+	let groupUsed = new Map(); // groupId -> summed bytes of its members
+	let deadline = scheduled ? Date.now() + MFA_SCAN_TICK_BUDGET_MS : 0;
+	if (cachedOnly) deadline = 1; // long passed
+	let cancelled = [];
+	let deferred = [];
+	let skippedGroups = new Set(); // a partial sum would understate the group
+	let groupQuotaKeys = new Set(); // "<groupId> <shared quota key>" of server quotas already added
+
+	for (let acc of accounts) {
+		let conf = perAccount[acc.id] || {};
+		let groupId = getAccountGroupId(conf, groups);
+		if (onlyIds && !onlyIds.includes(acc.id) && !onlyGroupIds.has(groupId)) continue;
+
+		let active = conf.active !== false; // default active
+		let entry = logCheckTarget(log, acc.id, acc.name);
+
+		if (groupId) {
+			// Alerts come from the group; the member only contributes its usage
+			entry.group = groupId;
+			await resetTarget(acc.id);
+			if (!active) { entry.skipped = 'inactive'; continue; }
+			let quota = await resolveAccountQuota(acc, conf);
+			try {
+				entry.usedBytes = await getAccountUsedBytes(acc, conf, quota, { rescan, deadline, onWalk: (scanned) => logWalk(entry, scanned) });
+				let quotaKey = getSharedQuotaKey(quota);
+				if (quotaKey && groupQuotaKeys.has(`${groupId} ${quotaKey}`)) entry.sharedQuota = true; // counted with another member
+				else groupUsed.set(groupId, (groupUsed.get(groupId) || 0) + entry.usedBytes);
+				if (quotaKey) groupQuotaKeys.add(`${groupId} ${quotaKey}`);
+			} catch (e) {
+				if (isAbortError(e)) cancelled.push(acc.id);
+				else if (isDeferredError(e)) deferred.push(acc.id);
+				else console.error('Summation failed for account', acc.id, e);
+				skippedGroups.add(groupId); // any member missing: no alert from a partial sum
+				logCheckError(entry, e);
+			}
+			continue;
+		}
+
+		let quota = active ? await resolveAccountQuota(acc, conf) : { limitBytes: 0 };
+		let limit = quota.limitBytes;
+
+		// If monitoring is disabled or no limit is set, ensure we don't keep stale notifications around
+		if (!active || !limit || limit <= 0) {
+			entry.skipped = active ? 'noLimit' : 'inactive';
+			await resetTarget(acc.id);
+			continue;
+		}
+
+		let used = 0;
+		entry.limitBytes = limit;
+		entry.quotaSource = quota.source;
+		try { used = await getAccountUsedBytes(acc, conf, quota, { rescan, deadline, onWalk: (scanned) => logWalk(entry, scanned) }); }
+		catch (e) {
+			if (isAbortError(e)) cancelled.push(acc.id);
+			else if (isDeferredError(e)) deferred.push(acc.id);
+			else console.error('Summation failed for account', acc.id, e);
+			logCheckError(entry, e);
+			continue;
+		}
+		entry.usedBytes = used;
+
+		Object.assign(entry, await evaluateTarget(acc, conf, used, limit, { forceNotify, scheduled, pending: pendingAccountIds.includes(acc.id), recordHistory: !cachedOnly }));
+		if (pendingAccountIds.includes(acc.id)) await removePendingAlert(acc.id);
+	}
+
+	for (let [groupId, group] of Object.entries(groups)) {
+		if (onlyIds && !onlyGroupIds.has(groupId)) continue;
+		let targetId = getGroupTargetId(groupId);
+		let entry = logCheckTarget(log, targetId, group.name || groupId);
+		if (skippedGroups.has(groupId)) { entry.skipped = 'members'; continue; }
+
+		let limit = Number(group.limitBytes || 0);
+		if (group.active === false || !(limit > 0) || !groupUsed.has(groupId)) {
+			entry.skipped = group.active === false ? 'inactive' : 'noLimit';
+			await resetTarget(targetId);
+			continue;
+		}
+
+		let target = { id: targetId, name: group.name || groupId };
+		Object.assign(entry, { usedBytes: groupUsed.get(groupId), limitBytes: limit });
+		Object.assign(entry, await evaluateTarget(target, group, groupUsed.get(groupId), limit, { forceNotify, scheduled, pending: pendingAccountIds.includes(targetId), recordHistory: !cachedOnly }));
+		if (pendingAccountIds.includes(targetId)) await removePendingAlert(targetId);
+	}
+
+	// forget accounts and groups that no longer exist (partial checks keep the others' last status)
+	if (!onlyIds) {
+		let ids = new Set([...accounts.map(a => a.id), ...Object.keys(groups).map(getGroupTargetId)]);
+		for (let id of [...accountStatus.keys()]) if (!ids.has(id)) accountStatus.delete(id);
+	}
+
+	if (scheduled) await setDeferredAccounts(deferred);
+
+	await updateToolbar();
+	return { cancelled, deferred };
+}
+
+/**
+ * Check all accounts (or only `onlyAccountId`, which may also be a group target id).
+ * Members of a quota group are not alerted on their own: their usage is summed up for the group.
+ * Returns { cancelled: [accountIds] } for walks aborted from the options page; those keep their last state.
+ * A scheduled check starts folder walks only within its time budget; the rest (`deferred`) follow a minute later
+ * as a check of just those accounts (`onlyAccountIds`).
+ * With `cachedOnly` (new mail), no walk is started at all: accounts without cached usage wait for the next check,
+ * and no history sample is recorded (a busy account would otherwise flood its history).
+ * Every run is added to the persisted check log; `reason` says what started it.
+ */
+async function checkAllAccounts({ reason = 'manual', ...opts } = {}) {
+	let log = { startedAt: Date.now(), reason, onlyAccountId: opts.onlyAccountId || null, error: null, targets: [] };
+	try {
+		return await runCheck(opts, log);
+	} catch (e) {
+		log.error = String(e?.message || e);
+		throw e;
+	} finally {
+		log.durationMs = Date.now() - log.startedAt;
+		await appendCheckLog(log).catch(console.error);
+	}
+}
+
+/** Snapshot fields shared by accounts and quota groups */
+async function buildUsageStatus(id, conf, used, limit, history) {
+	let levels = getAccountLevels(conf);
+	let freeThreshold = getFreeThresholdBytes(conf);
+	let threshold = getFirstAlertPct(levels, limit, freeThreshold);
+	let pctUsed = limit > 0 ? (used / limit) * 100 : 0;
+	let level = limit > 0 ? evaluateLevel(levels, pctUsed, used, limit, freeThreshold) : null;
+	let snooze = await getActiveSnooze(id, level);
+
+	return {
+		thresholdPct: threshold,
+		level: level?.key || null, // highest level reached
+		levelColor: level?.color || null,
+		trigger: level?.trigger || null, // rule that fired: 'pct' | 'free'
+		freeThresholdBytes: freeThreshold,
+		snoozedUntil: snooze?.until || null,
+		acknowledged: !!snooze?.acknowledged,
+		usedBytes: used,
+		pctUsed: pctUsed,
+		history, // [{ t, used, limit }] for the trend chart
+		lastCheckedAt: history.length ? history[history.length - 1].t : null,
+		forecast: forecastUsage(history, used, limit, threshold)
+	};
+}
+
+/**
+ * Build a usage snapshot for the options page and the popup (reads the usage cache, no new walk unless it is missing).
+ * Quota groups are listed after the accounts (`isGroup`, id "group:<id>"); group members carry `groupId`,
+ * their own usage and the group's limit, but no level of their own.
+ * With `cachedOnly`, no walk is started and every account is summed (also without a limit); `usageError` then
+ * tells why a usage is missing: 'notCached', 'cancelled', 'failed' or (groups) 'members'.
+ */
+async function getAccountsUsageSnapshot({ cachedOnly = false } = {}) {
+	let accounts = await browser.accounts.list(true);
+	let perAccount = await getEffectivePerAccountConfig(accounts);
+	let groups = await getQuotaGroups();
+	let groupUsed = new Map();
+	let groupErrors = new Set();
+	let groupQuotaKeys = new Set();
+	let out = [];
+
+	for (let acc of accounts) {
+		let conf = perAccount[acc.id] || {};
+		let active = conf.active !== false;
+		let groupId = getAccountGroupId(conf, groups);
+		let quota = await resolveAccountQuota(acc, conf);
+		let limit = groupId ? Number(groups[groupId].limitBytes || 0) : quota.limitBytes;
+
+		let accountingMode = quota.source !== 'server' && (groupId || quota.source === 'manual') ? getAccountingMode(acc, conf) : null;
+
+		let used = 0;
+		let usageError = null;
+		if (limit > 0 || cachedOnly) {
+			try { used = await getAccountUsedBytes(acc, conf, quota, { deadline: cachedOnly ? 1 : 0 }); }
+			catch (e) {
+				// a walk cancelled in the options page is no failure
+				usageError = isDeferredError(e) ? 'notCached' : (isAbortError(e) ? 'cancelled' : 'failed');
+				if (usageError === 'failed') console.error('Summation failed for account', acc.id, e);
+			}
+		}
+		let quotaKey = groupId && active && !usageError ? getSharedQuotaKey(quota) : null;
+		if (groupId && active && !groupQuotaKeys.has(`${groupId} ${quotaKey}`)) groupUsed.set(groupId, (groupUsed.get(groupId) || 0) + used);
+		if (quotaKey) groupQuotaKeys.add(`${groupId} ${quotaKey}`);
+		if (groupId && active && usageError) groupErrors.add(groupId);
+
+		let status = groupId
+			? { ...await buildUsageStatus(acc.id, {}, used, limit, []), thresholdPct: 0, level: null, levelColor: null, trigger: null }
+			: await buildUsageStatus(acc.id, conf, used, limit, await getUsageHistory(acc.id));
+
+		out.push({
+			id: acc.id,
+			name: acc.name || acc.id,
+			active,
+			groupId, // quota group the account belongs to, or null
+			limitBytes: limit, // effective limit (server quota, manual value or the group's limit)
+			quotaSource: groupId ? 'group' : quota.source, // source actually used: 'server' | 'manual' | 'group' | null
+			accountingMode, // local sum: 'folders' | 'unique' (each message once) | null with a server quota
+			usageError,
+			...status
+		});
+	}
+
+	for (let [groupId, group] of Object.entries(groups)) {
+		let targetId = getGroupTargetId(groupId);
+		let limit = Number(group.limitBytes || 0);
+		let used = groupUsed.get(groupId) || 0;
+		out.push({
+			id: targetId,
+			groupId,
+			isGroup: true,
+			name: group.name || groupId,
+			active: group.active !== false,
+			members: accounts.filter(a => getAccountGroupId(perAccount[a.id], groups) === groupId).map(a => a.id),
+			limitBytes: limit,
+			quotaSource: limit > 0 ? 'manual' : null,
+			accountingMode: null,
+			usageError: groupErrors.has(groupId) ? 'members' : null,
+			...await buildUsageStatus(targetId, group, used, limit, await getUsageHistory(targetId))
+		});
+	}
+	return out;
+}
+
+/** Per-folder breakdown of one account (from the usage cache, same walk as sumAccountBytes) */
+async function getAccountBreakdown(accountId) {
+	let acc = await browser.accounts.get(accountId, true);
+	if (!acc) return null;
+
+	let perAccount = await getEffectivePerAccountConfig([acc]);
+	let quota = await resolveAccountQuota(acc, perAccount[acc.id] || {});
+	let rules = getFolderRules(perAccount[acc.id]);
+
+	let entry = await getCachedAccountUsage(accountId);
+	if (!entry) entry = await requestAccountScan(accountId, { unique: getAccountingMode(acc, perAccount[acc.id]) === 'unique' });
+
+	let folders = Object.entries(entry?.folders || {}).map(([path, f]) => ({ path, ...f, excluded: getFolderExclusion(rules, path, f) }));
+	return {
+		id: acc.id,
+		limitBytes: quota.limitBytes,
+		scannedAt: entry?.scannedAt || null,
+		folders // [{ path, name, type, bytes, count, excluded }], own numbers only (no subfolders)
+	};
+}
+
+/* ===========================
+* Settings export / import & usage report
 * =========================== */
 
-/** Format bytes to human readable string */
-async function formatBytes(bytes) {
-	return await browser.messengerUtilities.formatFileSize(bytes);
+function getAccountEmails(account) {
+	return (account.identities || []).map(i => String(i.email || '').toLowerCase()).filter(Boolean);
 }
 
-/** Sum sizes of all messages in a folder (handles pagination) */
-async function sumFolderMessagesSize(folder) {
-	let total = 0;
-	let page = await browser.messages.list(folder);
-	while (true) {
-		for (let msg of page.messages) {
-			if (typeof msg.size === 'number') total += msg.size;
-		}
-		if (!page.id) break;
-		page = await browser.messages.continueList(page.id);
+/** Account of this profile for an exported one: same identity email, else same name and type (account ids differ per profile) */
+function findImportedAccount(accounts, rec, taken) {
+	let emails = new Set((Array.isArray(rec.emails) ? rec.emails : []).map(e => String(e).toLowerCase()));
+	let free = accounts.filter(a => !taken.has(a.id));
+	let byEmail = free.find(a => getAccountEmails(a).some(e => emails.has(e)));
+	if (byEmail) return byEmail;
+	let name = String(rec.name || '').toLowerCase();
+	return free.find(a => name && String(a.name || '').toLowerCase() === name && a.type === rec.type) || null;
+}
+
+/** Whole configuration as versioned JSON; accounts are listed by email and name, not by id */
+async function exportSettings() {
+	let accounts = await browser.accounts.list(false);
+	let perAccount = await getPerAccountConfig();
+	return {
+		format: MFA_EXPORT_FORMAT,
+		version: MFA_EXPORT_VERSION,
+		exportedAt: new Date().toISOString(),
+		global: {
+			intervalMin: await getGlobalIntervalMin(),
+			quietHours: await getQuietHours(),
+			badgeMode: await getBadgeMode()
+		},
+		groups: await getQuotaGroups(),
+		accounts: accounts.filter(a => perAccount[a.id]).map(a => ({
+			name: a.name || '',
+			type: a.type || null,
+			emails: getAccountEmails(a),
+			settings: perAccount[a.id]
+		}))
+	};
+}
+
+/** Alert settings shared by accounts and quota groups, keeping only known fields with valid values */
+function readImportedAlertSettings(src) {
+	let out = readPolicyAccountValues(src); // limitBytes, quotaSource, thresholdPct, criticalPct, fullPct
+	if (typeof src.active === 'boolean') out.active = src.active;
+	let free = Number(src.freeThresholdBytes);
+	if (src.freeThresholdBytes != null && Number.isFinite(free) && free >= 0) out.freeThresholdBytes = free;
+	if (MFA_RENOTIFY_POLICIES.includes(src.renotifyPolicy)) out.renotifyPolicy = src.renotifyPolicy;
+	let growth = Number(src.renotifyGrowthPct);
+	if (src.renotifyGrowthPct != null && growth > 0 && growth <= 100) out.renotifyGrowthPct = growth;
+	return out;
+}
+
+/** Account settings from an import file (references to unknown groups or presets are dropped) */
+function readImportedAccountSettings(src, groups) {
+	let out = readImportedAlertSettings(src);
+	if (MFA_ACCOUNTING_MODES.includes(src.accountingMode)) out.accountingMode = src.accountingMode;
+	if (src.folderRules && typeof src.folderRules === 'object') out.folderRules = getFolderRules(src);
+	if (typeof src.groupId === 'string' && groups[src.groupId]) out.groupId = src.groupId;
+	if (MFA_PROVIDER_PRESETS.some(p => p.id === src.presetId)) out.presetId = src.presetId;
+	return out;
+}
+
+function readImportedGroups(src) {
+	let out = {};
+	if (!src || typeof src !== 'object' || Array.isArray(src)) return out;
+	for (let [groupId, group] of Object.entries(src)) {
+		if (!group || typeof group !== 'object') continue;
+		let values = readImportedAlertSettings(group);
+		delete values.quotaSource; // groups always have a manual limit
+		out[groupId] = { ...values, name: String(group.name || '').trim() || groupId };
 	}
-	return total;
+	return out;
 }
 
-/** Sum all folders of an account */
-async function sumAccountBytes(accountId) {
-	let account = await browser.accounts.get(accountId, true); // include subfolders
-	if (!account || !account.rootFolder) return 0;
+/**
+ * Apply an exported configuration: global settings, quota groups and the settings of every account that can be matched.
+ * Only known fields with valid values are taken over, and fields locked by a policy are left out.
+ * Returns { ok, matched, unmatched: [names] } or { ok: false, error: <message key> }.
+ */
+async function importSettings(data) {
+	if (data?.format !== MFA_EXPORT_FORMAT || !Number.isInteger(data.version)) return { ok: false, error: 'importErrorFormat' };
+	if (data.version > MFA_EXPORT_VERSION) return { ok: false, error: 'importErrorVersion' };
 
-	let total = 0;
-	async function walk(folder) {
-		total += await sumFolderMessagesSize(folder);
-		if (Array.isArray(folder.subFolders) && folder.subFolders.length) {
-			for (let child of folder.subFolders) await walk(child);
-		} else {
-			let children = await browser.folders.getSubFolders(folder);
-			for (let child of children) await walk(child);
+	let global = data.global || {};
+	if (Number.isFinite(global.intervalMin)) {
+		await setGlobalIntervalMin(Math.max(0, Math.floor(global.intervalMin)));
+		await scheduleChecksFromSettings();
+	}
+	if (global.quietHours) await setQuietHours(normalizeQuietHours(global.quietHours));
+	if (MFA_BADGE_MODES.includes(global.badgeMode)) await setBadgeMode(global.badgeMode);
+	let groups = { ...await getQuotaGroups(), ...readImportedGroups(data.groups) };
+	await setQuotaGroups(groups);
+
+	let accounts = await browser.accounts.list(false);
+	let imported = {};
+	let taken = new Set();
+	let unmatched = [];
+	for (let rec of Array.isArray(data.accounts) ? data.accounts : []) {
+		let account = rec?.settings && typeof rec.settings === 'object' ? findImportedAccount(accounts, rec, taken) : null;
+		if (!account) {
+			unmatched.push(rec?.name || rec?.emails?.[0] || '?');
+			continue;
 		}
+		taken.add(account.id);
+		imported[account.id] = readImportedAccountSettings(rec.settings, groups);
 	}
-	await walk(account.rootFolder);
-	return total;
+	await setPerAccountConfig({ ...await getPerAccountConfig(), ...await stripPolicyFields(imported) });
+
+	checkAllAccounts({ reason: 'import' }).catch(console.error);
+	return { ok: true, matched: taken.size, unmatched };
+}
+
+/**
+ * Usage of every account and group from the usage cache (no new walk), with the cached per-folder sizes.
+ * Accounts without a cached or computable usage have `usedBytes: null` and `status` 'notCached', 'cancelled' or 'failed'.
+ */
+async function getUsageReport() {
+	let accounts = await browser.accounts.list(false);
+	let perAccount = await getPerAccountConfig();
+	let out = [];
+	for (let u of await getAccountsUsageSnapshot({ cachedOnly: true })) {
+		let account = accounts.find(a => a.id === u.id);
+		let entry = u.isGroup ? null : await getCachedAccountUsage(u.id);
+		let rules = getFolderRules(perAccount[u.id]);
+		out.push({
+			name: u.name,
+			emails: account ? getAccountEmails(account) : [],
+			isGroup: !!u.isGroup,
+			group: u.groupId || null,
+			active: u.active,
+			status: u.usageError || 'ok',
+			usedBytes: u.usageError ? null : u.usedBytes,
+			limitBytes: u.limitBytes,
+			pctUsed: u.limitBytes > 0 && !u.usageError ? u.pctUsed : null,
+			level: u.level,
+			quotaSource: u.quotaSource,
+			lastCheckedAt: u.lastCheckedAt ? new Date(u.lastCheckedAt).toISOString() : null,
+			folders: Object.entries(entry?.folders || {}).map(([path, f]) => ({
+				path,
+				bytes: f.bytes,
+				count: f.count,
+				counted: !getFolderExclusion(rules, path, f)
+			}))
+		});
+	}
+	return { format: MFA_REPORT_FORMAT, version: MFA_EXPORT_VERSION, generatedAt: new Date().toISOString(), accounts: out };
 }
 
 /* ===========================
-* Storage helpers
+* Largest messages
 * =========================== */
 
-async function getPerAccountConfig() {
-	let { perAccount = {} } = await browser.storage.local.get({ perAccount: {} });
-	return perAccount; // { [id]: { active:boolean, limitBytes:number, thresholdPct:number } }
+/** Plain folder reference that can be passed through messaging and back to the folders/messages API */
+function folderRef(folder) {
+	return { id: folder.id, accountId: folder.accountId, path: folder.path, name: folder.name || folder.path };
 }
 
-async function setPerAccountConfig(perAccount) {
-	await browser.storage.local.set({ perAccount });
+/** The N largest messages of an account across all folders (same messages.list pagination as sumFolderMessagesSize) */
+async function findLargestMessages(accountId, count = MFA_DEFAULT_LARGEST_COUNT) {
+	let account = await browser.accounts.get(accountId, true);
+	if (!account || !account.rootFolder) return [];
+
+	let top = []; // sorted by size, descending, at most `count` entries
+	await walkFolders(account.rootFolder, async (folder) => {
+		await forEachMessage(await browser.messages.list(folder), (msg) => {
+			let size = Number(msg.size) || 0;
+			if (top.length >= count && size <= top[top.length - 1].size) return;
+
+			let item = {
+				id: msg.id,
+				subject: msg.subject || '',
+				author: msg.author || '',
+				date: msg.date ? new Date(msg.date).getTime() : null,
+				size,
+				folder: folderRef(folder)
+			};
+			let i = top.findIndex(x => x.size < size);
+			if (i < 0) top.push(item); else top.splice(i, 0, item);
+			if (top.length > count) top.pop();
+		});
+	});
+	return top;
 }
 
-async function getGlobalIntervalMin() {
-	let obj = await browser.storage.local.get({ [MFA_GLOBAL_INTERVAL_KEY]: MFA_DEFAULT_CHECK_INTERVAL_MIN });
-	let val = obj[MFA_GLOBAL_INTERVAL_KEY];
-	return Number.isFinite(val) ? val : MFA_DEFAULT_CHECK_INTERVAL_MIN;
+/** All folders of the "Local Folders" account(s), usable as move targets */
+async function getLocalFolders() {
+	let accounts = await browser.accounts.list(true);
+	let out = [];
+	for (let acc of accounts) {
+		if (acc.type !== 'none' || !acc.rootFolder) continue;
+		await walkFolders(acc.rootFolder, (folder) => {
+			if (folder.path === '/') return;
+			out.push({ ...folderRef(folder), accountName: acc.name || acc.id });
+		});
+	}
+	return out;
 }
 
-async function setGlobalIntervalMin(minutes) {
-	await browser.storage.local.set({ [MFA_GLOBAL_INTERVAL_KEY]: minutes });
+async function openLargestMessagesView(accountId) {
+	await browser.tabs.create({ url: `largest.html?accountId=${encodeURIComponent(accountId)}` });
 }
 
 /* ===========================
-* Notifications & UI badge
+* Cleanup assistant
 * =========================== */
 
-function getNotificationId(accountId) {
-	return `${MFA_NOTIFICATION_ID_PREFIX}${accountId}`;
+/**
+ * Messages a cleanup would touch, per action:
+ * - trash: everything in Trash and Junk
+ * - old: messages older than `olderThanDays` in the chosen folders (paths, not recursive)
+ * Returns { trash: { bytes, count, ids }, old: { bytes, count, ids } }
+ */
+async function collectCleanupMessages(accountId, { emptyTrash = false, olderThanDays = 0, folderPaths = [] } = {}) {
+	let account = await browser.accounts.get(accountId, true);
+	let result = { trash: { bytes: 0, count: 0, ids: [] }, old: { bytes: 0, count: 0, ids: [] } };
+	if (!account || !account.rootFolder) return result;
+
+	let days = Math.floor(Number(olderThanDays));
+	let cutoff = days > 0 ? Date.now() - days * MFA_DAY_MS : null;
+	let paths = new Set(cutoff ? folderPaths : []);
+
+	await walkFolders(account.rootFolder, async (folder) => {
+		let isTrash = MFA_CLEANUP_TRASH_TYPES.includes(getFolderType(folder));
+		let target = null;
+		if (isTrash && emptyTrash) target = result.trash;
+		else if (!isTrash && paths.has(folder.path)) target = result.old;
+		if (!target) return;
+
+		await forEachMessage(await browser.messages.list(folder), (msg) => {
+			if (target === result.old) {
+				let date = msg.date ? new Date(msg.date).getTime() : NaN;
+				if (!(date < cutoff)) return;
+			}
+			target.ids.push(msg.id);
+			target.count++;
+			target.bytes += Number(msg.size) || 0;
+		});
+	});
+	return result;
 }
 
-async function clearNotification(accountId) {
-	try {
-		await browser.notifications.clear(getNotificationId(accountId));
-	} catch (e) {
-		// ignore
+/** Per-folder overview for the assistant plus the current Trash/Junk size (from the usage cache) */
+async function getCleanupOverview(accountId) {
+	let breakdown = await getAccountBreakdown(accountId);
+	let trash = { bytes: 0, count: 0 };
+	let folders = [];
+	for (let f of breakdown?.folders || []) {
+		if (MFA_CLEANUP_TRASH_TYPES.includes(f.type)) {
+			trash.bytes += f.bytes;
+			trash.count += f.count;
+		} else if (f.path !== '/') {
+			folders.push(f);
+		}
 	}
+	return { id: accountId, limitBytes: breakdown?.limitBytes || 0, trash, folders };
 }
 
-async function notify(account, used, limit, pctUsed, threshold) {
-	let title = browser.i18n.getMessage('notifyTitle', account.name || account.id);
-	let line1 = browser.i18n.getMessage('notifyLineUsed', [
-		await formatBytes(used),
-		await formatBytes(limit),
-		pctUsed.toFixed(1)
-	]);
-	let line2 = browser.i18n.getMessage('notifyLineThreshold', [`${threshold}%`]);
-
-	// use a stable id so repeated notifications for the same account replace each other
-	await browser.notifications.create(getNotificationId(account.id), {
-		type: 'basic',
-		iconUrl: 'icons/icon-96.png',
-		title,
-		message: `${line1}\n${line2}`
-	});
+/** Space each chosen action would free (no changes made) */
+async function estimateCleanup(accountId, options) {
+	let { trash, old } = await collectCleanupMessages(accountId, options);
+	return {
+		trash: { bytes: trash.bytes, count: trash.count },
+		old: { bytes: old.bytes, count: old.count }
+	};
 }
 
-/** Set toolbar badge + title */
-async function setBadge(percent, accountName) {
-	if (percent != null) {
-		await browser.browserAction.setBadgeText({ text: `${percent}%` });
-		try { await browser.browserAction.setBadgeBackgroundColor({ color: '#d93025' }); } catch { }
-		await browser.browserAction.setTitle({ title: accountName || browser.i18n.getMessage('extShortName') || 'MFA' });
-	} else {
-		await browser.browserAction.setBadgeText({ text: '' });
-		await browser.browserAction.setTitle({ title: browser.i18n.getMessage('extShortName') || 'MFA' });
+async function deleteOrMoveInBatches(ids, destination) {
+	for (let i = 0; i < ids.length; i += MFA_CLEANUP_BATCH_SIZE) {
+		let batch = ids.slice(i, i + MFA_CLEANUP_BATCH_SIZE);
+		if (destination) await browser.messages.move(batch, destination.id || { accountId: destination.accountId, path: destination.path });
+		else await browser.messages.delete(batch, true);
 	}
 }
 
+/**
+ * Run the chosen cleanup actions. Deleting skips the trash (otherwise no space is freed);
+ * with `oldAction: 'archive'` old mail is moved to `destination` (a Local Folders folder).
+ * Returns { ok, bytes, count }
+ */
+async function runCleanup(accountId, { emptyTrash = false, olderThanDays = 0, folderPaths = [], oldAction = 'delete', destination = null } = {}) {
+	if (oldAction === 'archive' && !destination) return { ok: false, bytes: 0, count: 0 };
+
+	let { trash, old } = await collectCleanupMessages(accountId, { emptyTrash, olderThanDays, folderPaths });
+	await deleteOrMoveInBatches(trash.ids, null);
+	await deleteOrMoveInBatches(old.ids, oldAction === 'archive' ? destination : null);
+
+	// Sizes changed a lot: rescan and re-evaluate this account
+	await invalidateAccountUsage(accountId);
+	checkAllAccounts({ onlyAccountId: accountId, reason: 'cleanup' }).catch(console.error);
+
+	return { ok: true, bytes: trash.bytes + old.bytes, count: trash.count + old.count };
+}
+
+async function openCleanupView(accountId) {
+	await browser.tabs.create({ url: `cleanup.html?accountId=${encodeURIComponent(accountId)}` });
+}
+
 /* ===========================
-* Core check
+* Folder pane context menu
 * =========================== */
 
-async function checkAllAccounts({ forceNotify = false, onlyAccountId = null } = {}) {
-	let accounts = await browser.accounts.list();
-	let perAccount = await getPerAccountConfig();
+/** Size and message count of a folder with all its subfolders, and its share of the account's (or group's) limit */
+async function getFolderSizeInfo(folder) {
+	let size = await getCachedFolderSize(folder);
+	if (!size) {
+		// not cached (yet): walk just this subtree
+		size = { bytes: 0, count: 0 };
+		await walkFolders(folder, async (f) => {
+			let sum = await sumFolderMessagesSize(f);
+			size.bytes += sum.bytes;
+			size.count += sum.count;
+		});
+	}
 
-	let topBadgeAccountName = null;
-	let topBadgePercent = -1;
+	let limitBytes = 0;
+	let account = await browser.accounts.get(folder.accountId, false);
+	if (account) {
+		let conf = (await getEffectivePerAccountConfig([account]))[account.id] || {};
+		let groups = await getQuotaGroups();
+		let groupId = getAccountGroupId(conf, groups);
+		limitBytes = groupId ? Number(groups[groupId].limitBytes || 0) : (await resolveAccountQuota(account, conf)).limitBytes;
+	}
+	return {
+		accountId: folder.accountId,
+		path: folder.path,
+		name: folder.name || folder.path,
+		bytes: size.bytes,
+		count: size.count,
+		limitBytes,
+		pct: limitBytes > 0 ? (size.bytes / limitBytes) * 100 : null
+	};
+}
 
-	for (let acc of accounts) {
-		if (onlyAccountId && acc.id !== onlyAccountId) continue;
+/** "1.2 GB in 3456 messages (12.5% of the limit)" */
+async function formatFolderSizeInfo(info) {
+	let subs = [await formatBytes(info.bytes), String(info.count)];
+	if (info.pct === null) return browser.i18n.getMessage('menuFolderSizeNoLimit', subs);
+	return browser.i18n.getMessage('menuFolderSizeValue', [...subs, info.pct.toFixed(1)]);
+}
 
-		let conf = perAccount[acc.id] || {};
-		let active = conf.active !== false; // default active
-		let limit = Number(conf.limitBytes || 0);
-		let threshold = Number.isFinite(conf.thresholdPct) ? conf.thresholdPct : MFA_DEFAULT_THRESHOLD_PCT;
+browser.menus.create({
+	id: MFA_FOLDER_MENU_ID,
+	title: browser.i18n.getMessage('menuFolderSize'),
+	contexts: ['folder_pane']
+});
 
-		// If monitoring is disabled or no limit is set, ensure we don't keep stale notifications around
-		if (!active || !limit || limit <= 0) {
-			await clearNotification(acc.id);
+// The entry shows the size while the menu is open; a newer opening (or closing it) drops a late result
+let folderMenuShownSeq = 0;
+let folderMenuLastInfo = null; // result shown in the open menu, reused when the entry is clicked
 
-			// Also reset lastPct so re-enabling can notify again on a fresh "cross up"
-			let key = `${MFA_NOTIFY_STATE_KEY_PREFIX}${acc.id}`;
-			try { await browser.storage.local.set({ [key]: 0 }); } catch (e) { /* ignore */ }
+browser.menus.onShown.addListener(async (info) => {
+	let folder = info.selectedFolder || info.selectedFolders?.[0];
+	if (!info.menuIds.includes(MFA_FOLDER_MENU_ID) || !folder) return;
+	let seq = ++folderMenuShownSeq;
+	try {
+		await browser.menus.update(MFA_FOLDER_MENU_ID, { title: browser.i18n.getMessage('menuFolderSizeCalculating') });
+		await browser.menus.refresh();
+		let sizeInfo = await getFolderSizeInfo(folder);
+		if (seq !== folderMenuShownSeq) return;
+		folderMenuLastInfo = sizeInfo;
+		await browser.menus.update(MFA_FOLDER_MENU_ID, { title: await formatFolderSizeInfo(sizeInfo) });
+		await browser.menus.refresh();
+	} catch (e) {
+		console.error('[MFA] Failed to compute folder size', e);
+	}
+});
 
-			continue;
-		}
+browser.menus.onHidden.addListener(() => {
+	folderMenuShownSeq++;
+	browser.menus.update(MFA_FOLDER_MENU_ID, { title: browser.i18n.getMessage('menuFolderSize') }).catch(console.error);
+});
 
-		let used = 0;
-		try { used = await sumAccountBytes(acc.id); }
-		catch (e) { console.error('Summation failed for account', acc.id, e); continue; }
-
-		let pctUsed = (used / limit) * 100;
-		let key = `${MFA_NOTIFY_STATE_KEY_PREFIX}${acc.id}`;
-		let st = await browser.storage.local.get({ [key]: 0 });
-		let lastPct = st[key];
-		let crossedUp = pctUsed >= threshold && lastPct < threshold;
-
-		// If no longer critical, clear any existing notification for this account
-		if (pctUsed < threshold) {
-			await clearNotification(acc.id);
-		}
+/** Clicking the entry keeps the result around as a notification */
+browser.menus.onClicked.addListener(async (info) => {
+	let folder = info.selectedFolder || info.selectedFolders?.[0];
+	if (info.menuItemId !== MFA_FOLDER_MENU_ID || !folder) return;
+	try {
+		let last = folderMenuLastInfo;
+		let sizeInfo = last?.accountId === folder.accountId && last.path === folder.path ? last : await getFolderSizeInfo(folder);
+		await browser.notifications.create(MFA_FOLDER_NOTIFICATION_ID, {
+			type: 'basic',
+			iconUrl: 'icons/icon-96.png',
+			title: sizeInfo.name,
+			message: await formatFolderSizeInfo(sizeInfo)
+		});
+	} catch (e) {
+		console.error('[MFA] Failed to compute folder size', e);
+	}
+});
 
-		if (pctUsed >= threshold) {
-			let floored = Math.floor(pctUsed);
-			if (floored > topBadgePercent) {
-				topBadgePercent = floored;
-				topBadgeAccountName = acc.name || acc.id;
-			}
-		}
+/* ===========================
+* Pre-send warning
+* =========================== */
 
-		// Notify only on threshold crossing (normal) OR forced notify while still over threshold
-		if (crossedUp || (forceNotify && pctUsed >= threshold)) {
-			await notify(acc, used, limit, pctUsed, threshold);
-		}
+let preSendRequests = new Map(); // requestId -> { warning, windowId, resolve }
 
-		let storePct = Math.round(pctUsed * 10) / 10;
-		await browser.storage.local.set({ [key]: storePct });
+/** Approximate size of the saved (Sent) copy: body plus base64-encoded attachments */
+async function estimateOutgoingBytes(tabId, details) {
+	let body = details.isPlainText ? details.plainTextBody : details.body;
+	let bytes = new TextEncoder().encode(body || '').length;
+	for (let att of await browser.compose.listAttachments(tabId)) {
+		let size = Number(att.size);
+		if (!Number.isFinite(size)) size = (await browser.compose.getAttachmentFile(att.id)).size;
+		bytes += Math.ceil(size * MFA_PRESEND_BASE64_FACTOR);
 	}
-
-	await setBadge(topBadgePercent >= 0 ? topBadgePercent : null, topBadgeAccountName);
+	return bytes;
 }
 
-/** Build a usage snapshot for the options page */
-async function getAccountsUsageSnapshot() {
-	let accounts = await browser.accounts.list();
-	let perAccount = await getPerAccountConfig();
-	let out = [];
+/**
+ * Would the Sent copy push the sending account (or its quota group) to a higher alert level or past the limit?
+ * Based on the usage of the last check; returns null when there is nothing to warn about.
+ */
+async function getPreSendWarning(tab, details) {
+	let accounts = await browser.accounts.list(false);
+	let account = accounts.find(a => (a.identities || []).some(i => i.id === details.identityId));
+	if (!account) return null;
 
-	for (let acc of accounts) {
-		let conf = perAccount[acc.id] || {};
-		let active = conf.active !== false;
-		let limit = Number(conf.limitBytes || 0);
-		let threshold = Number.isFinite(conf.thresholdPct) ? conf.thresholdPct : MFA_DEFAULT_THRESHOLD_PCT;
+	let perAccount = await getEffectivePerAccountConfig(accounts);
+	let groups = await getQuotaGroups();
+	let conf = perAccount[account.id] || {};
+	let groupId = getAccountGroupId(conf, groups);
+	let targetId = groupId ? getGroupTargetId(groupId) : account.id;
+	let status = accountStatus.get(targetId);
+	if (!status || !(status.limitBytes > 0)) return null;
 
-		let used = 0;
-		if (limit > 0) {
-			try { used = await sumAccountBytes(acc.id); }
-			catch (e) { console.error('Summation failed for account', acc.id, e); }
-		}
-		let pctUsed = limit > 0 ? (used / limit) * 100 : 0;
+	let targetConf = groupId ? groups[groupId] : conf;
+	let levels = getAccountLevels(targetConf);
+	let freeThreshold = getFreeThresholdBytes(targetConf);
+	let { usedBytes, limitBytes } = status;
+	let messageBytes = await estimateOutgoingBytes(tab.id, details);
+	let after = usedBytes + messageBytes;
+	let levelBefore = evaluateLevel(levels, (usedBytes / limitBytes) * 100, usedBytes, limitBytes, freeThreshold);
+	let levelAfter = evaluateLevel(levels, (after / limitBytes) * 100, after, limitBytes, freeThreshold);
+	let full = after >= limitBytes;
+	if (!full && getLevelRank(levelAfter?.key) <= getLevelRank(levelBefore?.key)) return null;
 
-		out.push({
-			id: acc.id,
-			name: acc.name || acc.id,
-			active,
-			limitBytes: limit,
-			thresholdPct: threshold,
-			usedBytes: used,
-			pctUsed: pctUsed
+	return {
+		name: status.name,
+		messageBytes,
+		usedBytes,
+		limitBytes,
+		pctBefore: (usedBytes / limitBytes) * 100,
+		pctAfter: (after / limitBytes) * 100,
+		full
+	};
+}
+
+/** Ask in a small window whether to send anyway; closing the window cancels */
+async function askSendAnyway(warning) {
+	let requestId = `send${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+	return await new Promise((resolve) => {
+		preSendRequests.set(requestId, { warning, windowId: null, resolve });
+		browser.windows.create({
+			url: `presend.html?requestId=${encodeURIComponent(requestId)}`,
+			type: 'popup',
+			width: MFA_PRESEND_WINDOW_WIDTH,
+			height: MFA_PRESEND_WINDOW_HEIGHT
+		}).then((win) => {
+			let req = preSendRequests.get(requestId);
+			if (req) req.windowId = win.id;
+		}).catch((e) => {
+			// never block sending because the question could not be asked
+			console.error('[MFA] Failed to open the pre-send warning', e);
+			settlePreSendRequest(requestId, true);
 		});
-	}
-	return out;
+	});
 }
 
+function settlePreSendRequest(requestId, send) {
+	let req = preSendRequests.get(requestId);
+	if (!req) return;
+	preSendRequests.delete(requestId);
+	req.resolve(send);
+	if (req.windowId !== null) browser.windows.remove(req.windowId).catch(() => { /* already closed */ });
+}
+
+browser.windows.onRemoved.addListener((windowId) => {
+	for (let [requestId, req] of preSendRequests) {
+		if (req.windowId === windowId) settlePreSendRequest(requestId, false);
+	}
+});
+
+browser.compose.onBeforeSend.addListener(async (tab, details) => {
+	let warning = null;
+	try {
+		warning = await getPreSendWarning(tab, details);
+	} catch (e) {
+		console.error('[MFA] Failed to estimate the outgoing message', e);
+	}
+	if (warning && !(await askSendAnyway(warning))) return { cancel: true };
+	return {};
+});
+
 /* ===========================
 * Scheduling
 * =========================== */
@@ -252,25 +2571,76 @@ async function scheduleChecksFromSettings() {
 * =========================== */
 
 browser.runtime.onInstalled.addListener(async () => {
+	await removeLegacyNotifyState().catch(console.error);
+	await removeOrphanedState().catch(console.error);
 	await scheduleChecksFromSettings();
-	checkAllAccounts().catch(console.error);
+	checkAllAccounts({ reason: 'startup' }).catch(console.error);
 });
 
 browser.runtime.onStartup.addListener(async () => {
+	await removeOrphanedState().catch(console.error);
 	await scheduleChecksFromSettings();
-	checkAllAccounts().catch(console.error);
+	checkAllAccounts({ reason: 'startup' }).catch(console.error);
 });
 
 browser.alarms.onAlarm.addListener((alarm) => {
 	if (alarm.name === 'quota-check') {
-		// Always force notify on scheduled checks
-		checkAllAccounts({ forceNotify: true }).catch(console.error);
+		// Scheduled checks re-notify according to each level's rule
+		checkAllAccounts({ scheduled: true, reason: 'scheduled' }).catch(console.error);
+	}
+	if (alarm.name === MFA_SCAN_RESUME_ALARM) {
+		// Accounts left over by the last scheduled check (time budget used up)
+		resumeDeferredChecks().catch(console.error);
+	}
+	if (alarm.name === MFA_QUIET_HOURS_ALARM) {
+		// Quiet window is over: the check delivers held-back alerts once
+		checkAllAccounts({ reason: 'quietHours' }).catch(console.error);
+	}
+});
+
+/** A new account gets its provider's mailbox size and is checked right away (not only on the next alarm) */
+browser.accounts.onCreated.addListener(async (accountId, account) => {
+	try {
+		await applyProviderPresetsToNewAccounts([{ ...account, id: accountId }]);
+		broadcastAccountsChanged('created', accountId);
+		await checkAllAccounts({ onlyAccountId: accountId, reason: 'account' });
+	} catch (e) {
+		console.error('[MFA] Failed to set up new account', accountId, e);
+	}
+});
+
+/** A removed account leaves nothing behind; its quota group (if any) is re-checked without it */
+browser.accounts.onDeleted.addListener(async (accountId) => {
+	try {
+		let groupId = getAccountGroupId((await getPerAccountConfig())[accountId], await getQuotaGroups());
+		await removeAccountState(accountId);
+		broadcastAccountsChanged('deleted', accountId);
+		if (groupId) await checkAllAccounts({ onlyAccountId: getGroupTargetId(groupId), reason: 'account' });
+		else await updateToolbar();
+	} catch (e) {
+		console.error('[MFA] Failed to clean up removed account', accountId, e);
 	}
 });
 
-/** Toolbar click opens options page */
-browser.browserAction.onClicked.addListener(() => {
-	browser.runtime.openOptionsPage();
+browser.accounts.onUpdated.addListener(async (accountId, changedValues) => {
+	if (typeof changedValues?.name !== 'string') return;
+	let status = accountStatus.get(accountId);
+	if (status) status.name = changedValues.name;
+	await updateToolbar().catch(console.error);
+	broadcastAccountsChanged('updated', accountId, { name: changedValues.name });
+});
+
+/**
+ * Clicking a quota notification opens the cleanup assistant for that account (the options page for a group).
+ * Thunderbird notifications have no action buttons, so this replaces the former largest-messages target;
+ * that view stays one click away via the assistant's "Show largest messages" link.
+ */
+browser.notifications.onClicked.addListener((notificationId) => {
+	if (!notificationId.startsWith(MFA_NOTIFICATION_ID_PREFIX)) return;
+	let accountId = notificationId.slice(MFA_NOTIFICATION_ID_PREFIX.length);
+	if (isGroupTargetId(accountId)) browser.runtime.openOptionsPage().catch(console.error);
+	else openCleanupView(accountId).catch(console.error);
+	clearNotification(accountId).catch(console.error);
 });
 
 /* ===========================
@@ -280,23 +2650,163 @@ browser.browserAction.onClicked.addListener(() => {
 browser.runtime.onMessage.addListener(async (msg) => {
 	if (msg?.type === 'getAccountsState') {
 		let accounts = await browser.accounts.list();
-		let conf = await getPerAccountConfig();
+		await applyProviderPresetsToNewAccounts(accounts);
+		let conf = await getEffectivePerAccountConfig(accounts);
+		let policy = await getManagedPolicy();
 		return accounts.map(a => ({
 			id: a.id,
 			name: a.name,
 			active: conf[a.id]?.active !== false,
 			limitBytes: conf[a.id]?.limitBytes || 0,
-			thresholdPct: Number.isFinite(conf[a.id]?.thresholdPct) ? conf[a.id].thresholdPct : MFA_DEFAULT_THRESHOLD_PCT
+			preset: getProviderPreset(a), // suggested mailbox size: { id, name, limitBytes, domains } or null
+			quotaSource: getQuotaSource(conf[a.id]),
+			thresholdPct: Number.isFinite(conf[a.id]?.thresholdPct) ? conf[a.id].thresholdPct : MFA_DEFAULT_THRESHOLD_PCT,
+			criticalPct: Number.isFinite(conf[a.id]?.criticalPct) ? conf[a.id].criticalPct : MFA_DEFAULT_CRITICAL_PCT,
+			fullPct: Number.isFinite(conf[a.id]?.fullPct) ? conf[a.id].fullPct : MFA_DEFAULT_FULL_PCT,
+			freeThresholdBytes: getFreeThresholdBytes(conf[a.id]),
+			renotifyPolicy: getRenotifyPolicy(conf[a.id]).policy,
+			renotifyGrowthPct: getRenotifyPolicy(conf[a.id]).growthPct,
+			folderRules: getFolderRules(conf[a.id]),
+			accountingMode: getAccountingSetting(conf[a.id]),
+			groupId: conf[a.id]?.groupId || null,
+			locked: getAccountPolicy(a, policy).locked // fields set by the organization's policy
+		}));
+	}
+
+	if (msg?.type === 'getQuotaGroups') {
+		let groups = await getQuotaGroups();
+		return Object.entries(groups).map(([id, g]) => ({
+			id,
+			name: g.name || id,
+			active: g.active !== false,
+			limitBytes: Number(g.limitBytes || 0),
+			thresholdPct: Number.isFinite(g.thresholdPct) ? g.thresholdPct : MFA_DEFAULT_THRESHOLD_PCT,
+			criticalPct: Number.isFinite(g.criticalPct) ? g.criticalPct : MFA_DEFAULT_CRITICAL_PCT,
+			fullPct: Number.isFinite(g.fullPct) ? g.fullPct : MFA_DEFAULT_FULL_PCT
 		}));
 	}
 
+	if (msg?.type === 'saveQuotaGroup') {
+		let groups = await getQuotaGroups();
+		let groupId = msg.groupId || `g${Date.now().toString(36)}`;
+		let next = { ...(groups[groupId] || {}), ...(msg.group || {}) };
+		next.name = String(next.name || '').trim() || groupId;
+		groups[groupId] = next;
+		await setQuotaGroups(groups);
+		return { ok: true, groupId };
+	}
+
+	if (msg?.type === 'removeQuotaGroup') {
+		await removeQuotaGroup(msg.groupId);
+		await updateToolbar();
+		return { ok: true };
+	}
+
 	if (msg?.type === 'getAccountsUsage') {
-		let snap = await getAccountsUsageSnapshot();
+		let snap = await getAccountsUsageSnapshot({ cachedOnly: msg.cachedOnly === true });
 		return snap;
 	}
 
+	if (msg?.type === 'getAccountBreakdown') {
+		return await getAccountBreakdown(msg.accountId);
+	}
+
+	if (msg?.type === 'getLargestMessages') {
+		let count = Math.min(MFA_MAX_LARGEST_COUNT, Math.max(1, Math.floor(Number(msg.count) || MFA_DEFAULT_LARGEST_COUNT)));
+		return await findLargestMessages(msg.accountId, count);
+	}
+
+	if (msg?.type === 'getLocalFolders') {
+		return await getLocalFolders();
+	}
+
+	if (msg?.type === 'openLargestMessages') {
+		await openLargestMessagesView(msg.accountId);
+		return { ok: true };
+	}
+
+	if (msg?.type === 'openMessage') {
+		await browser.messageDisplay.open({ messageId: msg.messageId, location: 'tab' });
+		return { ok: true };
+	}
+
+	if (msg?.type === 'moveMessages') {
+		let ids = Array.isArray(msg.messageIds) ? msg.messageIds : [];
+		if (!ids.length || !msg.destination) return { ok: false };
+		let dest = msg.destination;
+		await browser.messages.move(ids, dest.id || { accountId: dest.accountId, path: dest.path });
+		return { ok: true };
+	}
+
+	if (msg?.type === 'getCleanupOverview') {
+		return await getCleanupOverview(msg.accountId);
+	}
+
+	if (msg?.type === 'estimateCleanup') {
+		return await estimateCleanup(msg.accountId, msg.options || {});
+	}
+
+	if (msg?.type === 'runCleanup') {
+		return await runCleanup(msg.accountId, msg.options || {});
+	}
+
+	if (msg?.type === 'openCleanup') {
+		await openCleanupView(msg.accountId);
+		return { ok: true };
+	}
+
+	if (msg?.type === 'exportSettings') {
+		return await exportSettings();
+	}
+
+	if (msg?.type === 'importSettings') {
+		return await importSettings(msg.data);
+	}
+
+	if (msg?.type === 'getUsageReport') {
+		return await getUsageReport();
+	}
+
+	if (msg?.type === 'getCheckLog') {
+		let browserInfo = await browser.runtime.getBrowserInfo().catch(() => null);
+		return {
+			runs: await getCheckLog(),
+			addonVersion: browser.runtime.getManifest().version,
+			browser: browserInfo ? `${browserInfo.name} ${browserInfo.version}` : null
+		};
+	}
+
+	if (msg?.type === 'clearCheckLog') {
+		await updateCheckLog(() => []);
+		return { ok: true };
+	}
+
+	if (msg?.type === 'getPreSendWarning') {
+		return preSendRequests.get(msg.requestId)?.warning || null;
+	}
+
+	if (msg?.type === 'preSendDecision') {
+		settlePreSendRequest(msg.requestId, msg.send === true);
+		return { ok: true };
+	}
+
+	if (msg?.type === 'snoozeAccount') {
+		await snoozeAccount(msg.accountId, msg.days);
+		return { ok: true };
+	}
+
+	if (msg?.type === 'acknowledgeAccount') {
+		await acknowledgeAccount(msg.accountId);
+		return { ok: true };
+	}
+
+	if (msg?.type === 'clearSnooze') {
+		await setSnooze(msg.accountId, null);
+		return { ok: true };
+	}
+
 	if (msg?.type === 'saveAccountsConfig') {
-		let nextPartial = msg.payload || {};
+		let nextPartial = await stripPolicyFields(msg.payload || {});
 		let current = await getPerAccountConfig();
 		let merged = { ...current, ...nextPartial };
 		await setPerAccountConfig(merged);
@@ -304,19 +2814,39 @@ browser.runtime.onMessage.addListener(async (msg) => {
 	}
 
 	if (msg?.type === 'runCheckNow') {
-		await checkAllAccounts({
+		let { cancelled } = await checkAllAccounts({
 			forceNotify: msg.force === true,
-			onlyAccountId: msg.accountId || null
+			onlyAccountId: msg.accountId || null,
+			rescan: msg.rescan === true
 		});
-		return { ok: true };
+		return { ok: true, cancelled };
 	}
 
 	if (msg?.type === 'getGlobalSettings') {
 		let intervalMin = await getGlobalIntervalMin();
-		return { intervalMin };
+		let quietHours = await getQuietHours();
+		let badgeMode = await getBadgeMode();
+		let intervalLocked = isIntervalLocked(await getManagedPolicy());
+		return { intervalMin, quietHours, badgeMode, intervalLocked };
+	}
+
+	if (msg?.type === 'saveBadgeMode') {
+		let mode = MFA_BADGE_MODES.includes(msg.badgeMode) ? msg.badgeMode : MFA_DEFAULT_BADGE_MODE;
+		await setBadgeMode(mode);
+		await updateToolbar();
+		return { ok: true, badgeMode: mode };
+	}
+
+	if (msg?.type === 'saveQuietHours') {
+		let next = normalizeQuietHours(msg.quietHours);
+		await setQuietHours(next);
+		// leaving quiet hours early (disabled / shortened): deliver what was held back
+		checkAllAccounts({ reason: 'quietHours' }).catch(console.error);
+		return { ok: true, quietHours: next };
 	}
 
 	if (msg?.type === 'saveGlobalSettingsMinutes') {
+		if (isIntervalLocked(await getManagedPolicy())) return { ok: false, intervalMin: await getGlobalIntervalMin() };
 		let minutes = Math.max(0, Math.floor(Number(msg.intervalMin) || 0));
 		await setGlobalIntervalMin(minutes);
 		await scheduleChecksFromSettings();
@@ -0,0 +1,170 @@
+/* global browser, $, t, localizeDocument, humanSize */
+/**
+ * Cleanup assistant for one account (cleanup.html?accountId=...)
+ * - Empty Trash and Junk
+ * - Delete old mail in chosen folders, or move it to a Local Folders folder
+ * - "Calculate" shows the space each action frees; "Clean up" runs the chosen ones after confirmation
+ */
+
+const MFA_DEFAULT_CLEANUP_AGE_DAYS = 365;
+
+let accountId = new URLSearchParams(location.search).get('accountId');
+let overview = null;
+let localFolders = [];
+let lastEstimate = null;
+
+function setStatus(text) {
+	let el = $('#status');
+	if (el) el.textContent = text || '';
+}
+
+function formatEstimate(part) {
+	return part ? t('cleanupEstimate', [humanSize(part.bytes), String(part.count)]) : '';
+}
+
+function selectedDestination() {
+	let idx = Number($('#destination')?.value);
+	return Number.isInteger(idx) ? localFolders[idx] || null : null;
+}
+
+function readOptions() {
+	let oldAction = document.querySelector('input[name="oldAction"]:checked')?.value || 'delete';
+	return {
+		emptyTrash: !!$('#emptyTrash')?.checked,
+		olderThanDays: Math.floor(Number($('#olderThanDays')?.value)) || 0,
+		folderPaths: [...document.querySelectorAll('#folders input:checked')].map(cb => cb.value),
+		oldAction,
+		destination: oldAction === 'archive' ? selectedDestination() : null
+	};
+}
+
+/** Any change makes the last calculation stale: the user has to calculate again before running */
+function resetEstimate() {
+	lastEstimate = null;
+	$('#trashEstimate').textContent = overview ? formatEstimate(overview.trash) : '';
+	$('#oldEstimate').textContent = '';
+	$('#summary').textContent = '';
+	$('#run').disabled = true;
+}
+
+function renderDestinations() {
+	let sel = $('#destination');
+	if (!sel) return;
+	sel.replaceChildren();
+
+	localFolders.forEach((f, i) => {
+		let opt = document.createElement('option');
+		opt.value = String(i);
+		opt.textContent = f.path.replace(/^\//, '') || f.name;
+		sel.appendChild(opt);
+	});
+	sel.disabled = !localFolders.length;
+	let archiveRadio = document.querySelector('input[name="oldAction"][value="archive"]');
+	if (archiveRadio) archiveRadio.disabled = !localFolders.length;
+}
+
+function renderFolders() {
+	let listEl = $('#folders');
+	if (!listEl) return;
+	listEl.replaceChildren();
+
+	let folders = [...(overview?.folders || [])].sort((a, b) => a.path.localeCompare(b.path));
+	for (let f of folders) {
+		let label = document.createElement('label');
+		let cb = document.createElement('input');
+		cb.type = 'checkbox';
+		cb.value = f.path;
+		let name = document.createElement('span');
+		name.textContent = f.path.replace(/^\//, '') || f.name;
+		let size = document.createElement('span');
+		size.className = 'num';
+		size.textContent = humanSize(f.bytes);
+		label.append(cb, name, size);
+		listEl.appendChild(label);
+	}
+}
+
+async function calculate() {
+	let options = readOptions();
+	setStatus(t('statusCalculating'));
+	try {
+		let est = await browser.runtime.sendMessage({ type: 'estimateCleanup', accountId, options });
+		$('#trashEstimate').textContent = formatEstimate(options.emptyTrash ? est.trash : overview?.trash);
+		$('#oldEstimate').textContent = options.folderPaths.length ? formatEstimate(est.old) : '';
+
+		let bytes = est.trash.bytes + est.old.bytes;
+		let count = est.trash.count + est.old.count;
+		let limit = overview?.limitBytes || 0;
+		$('#summary').textContent = limit > 0
+			? t('cleanupSummaryPct', [humanSize(bytes), ((bytes / limit) * 100).toFixed(1)])
+			: t('cleanupSummary', [humanSize(bytes)]);
+
+		lastEstimate = { options, bytes, count };
+		$('#run').disabled = count === 0;
+		setStatus('');
+	} catch (e) {
+		console.error(e);
+		setStatus(t('statusCalculateFailed'));
+	}
+}
+
+async function run() {
+	if (!lastEstimate || !lastEstimate.count) return;
+	let { options, bytes, count } = lastEstimate;
+	let confirmKey = options.oldAction === 'archive' ? 'confirmCleanupArchive' : 'confirmCleanup';
+	if (!window.confirm(t(confirmKey, [String(count), humanSize(bytes)]))) return;
+
+	$('#run').disabled = true;
+	setStatus(t('statusCleaning'));
+	try {
+		let res = await browser.runtime.sendMessage({ type: 'runCleanup', accountId, options });
+		if (!res?.ok) throw new Error('cleanup failed');
+		await loadOverview();
+		setStatus(t('statusCleaned', [String(res.count), humanSize(res.bytes)]));
+	} catch (e) {
+		console.error(e);
+		setStatus(t('statusCleanupFailed'));
+		$('#run').disabled = false;
+	}
+}
+
+async function loadOverview() {
+	try {
+		overview = await browser.runtime.sendMessage({ type: 'getCleanupOverview', accountId });
+	} catch (e) {
+		console.error(e);
+		overview = null;
+	}
+	renderFolders();
+	resetEstimate();
+}
+
+async function load() {
+	localizeDocument();
+
+	let accounts = [];
+	try { accounts = await browser.runtime.sendMessage({ type: 'getAccountsState' }); } catch (e) { console.error(e); }
+	let account = (accounts || []).find(a => a.id === accountId);
+	let titleEl = $('#title');
+	if (titleEl && account) titleEl.textContent = t('cleanupTitleAccount', [account.name || account.id]);
+
+	let daysInput = $('#olderThanDays');
+	if (daysInput) daysInput.value = String(MFA_DEFAULT_CLEANUP_AGE_DAYS);
+
+	try { localFolders = await browser.runtime.sendMessage({ type: 'getLocalFolders' }) || []; } catch (e) { console.error(e); }
+	renderDestinations();
+
+	await loadOverview();
+
+	// Any input change invalidates the calculation
+	document.querySelector('.card')?.addEventListener('change', resetEstimate);
+	$('#calculate')?.addEventListener('click', () => { calculate().catch(console.error); });
+	$('#run')?.addEventListener('click', () => { run().catch(console.error); });
+	$('#openLargest')?.addEventListener('click', () => {
+		browser.runtime.sendMessage({ type: 'openLargestMessages', accountId }).catch(console.error);
+	});
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+	load().catch(console.error);
+});
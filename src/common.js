@@ -0,0 +1,28 @@
+/* global browser */
+/**
+ * Shared helpers for MFA extension pages (options, largest messages, ...)
+ * - i18n lookup & data-i18n localization
+ * - human readable sizes
+ */
+
+const $ = (sel, el = document) => el.querySelector(sel);
+
+function t(key, subs = []) {
+	return browser.i18n.getMessage(key, subs) || key;
+}
+
+function localizeWithin(root) {
+	root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.getAttribute('data-i18n')); });
+	root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.getAttribute('data-i18n-placeholder')); });
+	root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.getAttribute('data-i18n-title')); });
+}
+
+function localizeDocument() { localizeWithin(document); }
+
+function humanSize(bytes) {
+	if (!Number.isFinite(bytes) || bytes <= 0) return '0 MB';
+	let gb = bytes / (1024 ** 3);
+	if (gb >= 1) return gb >= 10 ? `${gb.toFixed(0)} GB` : `${gb.toFixed(1)} GB`;
+	let mb = bytes / (1024 ** 2);
+	return mb >= 10 ? `${mb.toFixed(0)} MB` : `${mb.toFixed(1)} MB`;
+}
@@ -0,0 +1,136 @@
+/* global browser, $, t, localizeDocument, humanSize */
+/**
+ * Largest messages view for one account (largest.html?accountId=...)
+ * - Lists the N largest messages across all folders
+ * - Per message: open in Thunderbird, move to a Local Folders folder
+ */
+
+const MFA_DEFAULT_LARGEST_COUNT = 50;
+
+let accountId = new URLSearchParams(location.search).get('accountId');
+let localFolders = [];
+
+function setStatus(text) {
+	let el = $('#status');
+	if (el) el.textContent = text || '';
+}
+
+function formatDate(ms) {
+	if (!ms) return '';
+	try { return new Date(ms).toLocaleDateString(); } catch { return ''; }
+}
+
+function selectedDestination() {
+	let idx = Number($('#destination')?.value);
+	return Number.isInteger(idx) ? localFolders[idx] || null : null;
+}
+
+function renderDestinations() {
+	let sel = $('#destination');
+	if (!sel) return;
+	sel.replaceChildren();
+
+	localFolders.forEach((f, i) => {
+		let opt = document.createElement('option');
+		opt.value = String(i);
+		opt.textContent = f.path.replace(/^\//, '') || f.name;
+		sel.appendChild(opt);
+	});
+	sel.disabled = !localFolders.length;
+}
+
+function renderMessages(messages) {
+	let rowsEl = $('#rows');
+	if (!rowsEl) return;
+	rowsEl.replaceChildren();
+
+	for (let m of messages) {
+		let tr = document.createElement('tr');
+
+		let cells = [
+			['subject', m.subject || t('labelNoSubject')],
+			['author', m.author],
+			['date', formatDate(m.date)],
+			['folder', m.folder?.name || m.folder?.path || ''],
+			['num', humanSize(m.size)]
+		];
+		for (let [cls, text] of cells) {
+			let td = document.createElement('td');
+			td.className = cls;
+			td.textContent = text;
+			td.title = text;
+			tr.appendChild(td);
+		}
+
+		let actions = document.createElement('td');
+		let wrap = document.createElement('div');
+		wrap.className = 'actions';
+
+		let openBtn = document.createElement('button');
+		openBtn.className = 'btn';
+		openBtn.textContent = t('btnOpen');
+		openBtn.addEventListener('click', () => {
+			browser.runtime.sendMessage({ type: 'openMessage', messageId: m.id }).catch(console.error);
+		});
+
+		let moveBtn = document.createElement('button');
+		moveBtn.className = 'btn';
+		moveBtn.textContent = t('btnMove');
+		moveBtn.disabled = !localFolders.length;
+		moveBtn.addEventListener('click', async () => {
+			let dest = selectedDestination();
+			if (!dest) return;
+			moveBtn.disabled = true;
+			try {
+				await browser.runtime.sendMessage({ type: 'moveMessages', messageIds: [m.id], destination: dest });
+				tr.remove();
+				setStatus(t('statusMoved', [m.subject || t('labelNoSubject'), dest.name]));
+			} catch (e) {
+				console.error(e);
+				moveBtn.disabled = false;
+				setStatus(t('statusMoveFailed'));
+			}
+		});
+
+		wrap.append(openBtn, moveBtn);
+		actions.appendChild(wrap);
+		tr.appendChild(actions);
+		rowsEl.appendChild(tr);
+	}
+}
+
+async function loadMessages() {
+	let count = Number($('#count')?.value) || MFA_DEFAULT_LARGEST_COUNT;
+	setStatus(t('statusSearching'));
+	$('#rows')?.replaceChildren();
+	try {
+		let messages = await browser.runtime.sendMessage({ type: 'getLargestMessages', accountId, count });
+		renderMessages(messages || []);
+		setStatus(messages?.length ? '' : t('statusNoMessages'));
+	} catch (e) {
+		console.error(e);
+		setStatus(t('statusSearchFailed'));
+	}
+}
+
+async function load() {
+	localizeDocument();
+
+	let accounts = [];
+	try { accounts = await browser.runtime.sendMessage({ type: 'getAccountsState' }); } catch (e) { console.error(e); }
+	let account = (accounts || []).find(a => a.id === accountId);
+	let titleEl = $('#title');
+	if (titleEl && account) titleEl.textContent = t('largestTitleAccount', [account.name || account.id]);
+
+	try { localFolders = await browser.runtime.sendMessage({ type: 'getLocalFolders' }) || []; } catch (e) { console.error(e); }
+	renderDestinations();
+
+	$('#count')?.addEventListener('change', () => { loadMessages().catch(console.error); });
+	$('#reload')?.addEventListener('click', () => { loadMessages().catch(console.error); });
+
+	await loadMessages();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+	load().catch(console.error);
+});
@@ -1,28 +1,41 @@
-/* global browser */
+/* global browser, $, t, localizeWithin, localizeDocument, humanSize */
 /**
  * Options UI logic for MFA (7-column layout)
- * Columns: Active | Account | Usage% | Detail(used/free/time) | Mailbox GB | Threshold | Update
- * - Percent is bold & black; turns red when over threshold
- * - Account name stays black; turns red+bold only when over threshold
+ * Columns: Active | Account | Usage% | Detail(used/free/time) | Mailbox GB + quota source | Threshold | Update
+ * - Percent is bold & black; takes the level colour (warning / critical / full) when over threshold
+ * - Account name stays black; turns coloured+bold only when over threshold
+ * - Critical and full levels and the free-space rule are set in the row's detail panel
+ * - Size inputs accept units (MB, GB, TB, GiB, ...)
+ * - Detail panel also holds the re-notify policy and snooze / acknowledge actions
  * - Columns 3 and 4 are empty when inactive or limit <= 0 (no placeholders)
+ * - Column 5 hints which quota source (server / manual) and accounting mode were actually used,
+ *   and offers the provider preset (e.g. Gmail 15 GB) as a suggestion
+ * - Column 2 shows a small usage trend chart and the "days until full" forecast,
+ *   and a progress bar (folders done / total, bytes so far) with a cancel link while the account is scanned
+ * - Each row has an expandable detail panel with a sortable per-folder breakdown
+ *   and the folder rules (folders, special-use types and name patterns not counted toward the quota)
+ *   and links to the largest-messages view and the cleanup assistant
+ * - Rows follow accounts added, renamed or removed in Thunderbird while the page is open
+ * - Quota groups: a group row with one shared limit, member accounts are listed (collapsibly) below it
+ * - Global settings: check interval, quiet hours and toolbar badge mode
+ * - Fields locked by an enterprise policy are disabled with a "managed by your organization" hint
+ * - Export / import of the whole configuration (JSON) and usage reports (CSV / JSON)
+ * - Diagnostics: log of the last checks per account, copyable for bug reports
  */
 
 const MFA_DEFAULT_THRESHOLD_PCT = 80;
+const MFA_DEFAULT_CRITICAL_PCT = 90;
+const MFA_DEFAULT_FULL_PCT = 98;
 const MFA_DEFAULT_INTERVAL_MIN = 360; // 6h fallback
 const MFA_AUTOSAVE_DEBOUNCE_MS = 700;
-
-const $ = (sel, el = document) => el.querySelector(sel);
-
-function t(key, subs = []) {
-	return browser.i18n.getMessage(key, subs) || key;
-}
-
-function localizeWithin(root) {
-	root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.getAttribute('data-i18n')); });
-	root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.getAttribute('data-i18n-placeholder')); });
-}
-
-function localizeDocument() { localizeWithin(document); }
+const MFA_DEFAULT_QUOTA_SOURCE = 'auto';
+const MFA_DEFAULT_ACCOUNTING_MODE = 'auto';
+const MFA_GROUP_ID_PREFIX = 'group:';
+const MFA_DEFAULT_RENOTIFY_POLICY = 'level';
+const MFA_DEFAULT_RENOTIFY_GROWTH_PCT = 5;
+const MFA_TREND_WIDTH = 200;
+const MFA_TREND_HEIGHT = 32;
+const SVG_NS = 'http://www.w3.org/2000/svg';
 
 /* ===== Add-on page locale URL ===== */
 function getATNLocaleFromUI() {
@@ -59,31 +72,32 @@ function getATNLocaleFromUI() {
 }
 
 /* ===== Numbers & sizes ===== */
-function parseLocaleNumber(str) {
-	if (typeof str !== 'string') return Number(str);
-	let cleaned = str.trim().replace(',', '.');
-	if (!/^[+]?\d*(\.\d+)?$/.test(cleaned)) return NaN;
-	return Number(cleaned);
-}
 
-function toBytesGB(valStr) {
-	let n = parseLocaleNumber(valStr);
-	if (!Number.isFinite(n) || n <= 0) return NaN;
-	return Math.round(n * 1024 * 1024 * 1024);
+/* Size units accepted in inputs; binary multiples like Thunderbird's own size display (1 GB = 1024 MB, so GB = GiB; see hintSizeUnits) */
+const MFA_SIZE_UNIT_FACTORS = {
+	kb: 1024, kib: 1024, k: 1024,
+	mb: 1024 ** 2, mib: 1024 ** 2, m: 1024 ** 2,
+	gb: 1024 ** 3, gib: 1024 ** 3, g: 1024 ** 3,
+	tb: 1024 ** 4, tib: 1024 ** 4, t: 1024 ** 4
+};
+
+/** Parse "15", "1,5 GB", "500MB", "2 TiB" to bytes; plain numbers use `defaultUnit` */
+function parseSizeToBytes(valStr, defaultUnit = 'GB') {
+	let m = String(valStr ?? '').trim().replace(',', '.').match(/^\+?(\d*(?:\.\d+)?)\s*([a-zA-Z]*)$/);
+	if (!m || m[1] === '') return NaN;
+
+	let n = Number(m[1]);
+	let factor = MFA_SIZE_UNIT_FACTORS[(m[2] || defaultUnit).toLowerCase()];
+	if (!factor || !Number.isFinite(n) || n <= 0) return NaN;
+	return Math.round(n * factor);
 }
 
-function fromBytesToGBString(bytes) {
+/** Bytes to an input value with unit, e.g. "15 GB", "1.5 GB", "500 MB" */
+function formatSizeForInput(bytes) {
 	if (!bytes || !Number.isFinite(bytes)) return '';
-	let gb = bytes / (1024 ** 3);
-	return (gb % 1 === 0) ? String(gb) : gb.toFixed(1);
-}
-
-function humanSize(bytes) {
-	if (!Number.isFinite(bytes) || bytes <= 0) return '0 MB';
-	let gb = bytes / (1024 ** 3);
-	if (gb >= 1) return gb >= 10 ? `${gb.toFixed(0)} GB` : `${gb.toFixed(1)} GB`;
-	let mb = bytes / (1024 ** 2);
-	return mb >= 10 ? `${mb.toFixed(0)} MB` : `${mb.toFixed(1)} MB`;
+	let units = [['TB', 1024 ** 4], ['GB', 1024 ** 3], ['MB', 1024 ** 2], ['KB', 1024]];
+	let [unit, factor] = units.find(([, f]) => bytes >= f) || units[units.length - 1];
+	return `${Number((bytes / factor).toFixed(2))} ${unit}`;
 }
 
 function formatPct(n) {
@@ -117,6 +131,10 @@ function paintUsageColumns(rowEl, status) {
   let pctEl    = rowEl.querySelector('.usage-pt .pct');   // column 3
   let detailEl = rowEl.querySelector('.usage-detail');    // column 4
 
+  paintQuotaSourceHint(rowEl, status);
+  paintTrend(rowEl, status);
+  paintSnoozeStatus(getDetailPanel(rowEl), status);
+
   // Reset visuals first
   if (nameEl) { nameEl.style.color = ''; nameEl.style.fontWeight = ''; }
   if (pctEl)  { pctEl.style.color = ''; pctEl.style.fontWeight = '700'; } // bold black by default
@@ -148,13 +166,409 @@ function paintUsageColumns(rowEl, status) {
     detailEl.textContent = detailTxt;
   }
 
-  // Over threshold: name red+bold; percent red
-  if (pct >= thr) {
-    if (nameEl) { nameEl.style.color = '#d93025'; nameEl.style.fontWeight = '600'; }
-    if (pctEl)  { pctEl.style.color = '#d93025'; }
+  // Over threshold: name bold + percent in the colour of the level reached (red by default)
+  if (status?.level || (!('level' in (status || {})) && pct >= thr)) {
+    let color = status?.levelColor || '#d93025';
+    if (nameEl) { nameEl.style.color = color; nameEl.style.fontWeight = '600'; }
+    if (pctEl)  { pctEl.style.color = color; }
   }
 }
 
+/* ===== Quota source hint (column 5) ===== */
+function paintQuotaSourceHint(rowEl, status) {
+	let hintEl = rowEl.querySelector('.quota-source-hint');
+	if (!hintEl) return;
+
+	let active = rowEl.querySelector('.activeToggle')?.checked;
+	if (!active || !status?.quotaSource) {
+		hintEl.textContent = '';
+		return;
+	}
+
+	if (status.isGroup) {
+		hintEl.textContent = t('hintGroupMembers', [String(status.members?.length || 0)]);
+		return;
+	}
+	if (status.quotaSource === 'group') {
+		hintEl.textContent = t('hintQuotaSourceGroup', [getGroupName(status.groupId)]);
+		return;
+	}
+
+	// local sums also show how messages were counted
+	hintEl.textContent = status.quotaSource === 'server'
+		? t('hintQuotaSourceServer', [humanSize(Number(status.limitBytes || 0))])
+		: `${t('hintQuotaSourceManual')} · ${t(status.accountingMode === 'unique' ? 'hintAccountingUnique' : 'hintAccountingFolders')}`;
+}
+
+/* ===== Trend chart & forecast (column 2) ===== */
+function formatDays(days) {
+	if (!Number.isFinite(days)) return '';
+	return days < 1 ? t('forecastLessThanADay') : t('forecastDays', [String(Math.round(days))]);
+}
+
+function paintTrend(rowEl, status) {
+	let chartEl = rowEl.querySelector('.trend-chart');
+	let textEl = rowEl.querySelector('.trend-forecast');
+	if (chartEl) chartEl.replaceChildren();
+	if (textEl) textEl.textContent = '';
+
+	let active = rowEl.querySelector('.activeToggle')?.checked;
+	let limit = Number(status?.limitBytes || 0);
+	let history = Array.isArray(status?.history) ? status.history : [];
+	if (!active || !(limit > 0)) return;
+
+	let thr = Number(status?.thresholdPct || MFA_DEFAULT_THRESHOLD_PCT);
+
+	if (chartEl && history.length >= 2) {
+		let t0 = history[0].t;
+		let span = Math.max(1, history[history.length - 1].t - t0);
+		let yOf = (bytes) => MFA_TREND_HEIGHT - Math.min(1, Math.max(0, bytes / limit)) * MFA_TREND_HEIGHT;
+
+		let thrLine = document.createElementNS(SVG_NS, 'line');
+		thrLine.setAttribute('x1', '0');
+		thrLine.setAttribute('x2', String(MFA_TREND_WIDTH));
+		thrLine.setAttribute('y1', String(yOf(limit * thr / 100)));
+		thrLine.setAttribute('y2', String(yOf(limit * thr / 100)));
+		thrLine.setAttribute('class', 'trend-threshold');
+		chartEl.appendChild(thrLine);
+
+		let line = document.createElementNS(SVG_NS, 'polyline');
+		line.setAttribute('points', history
+			.map(s => `${((s.t - t0) / span * MFA_TREND_WIDTH).toFixed(1)},${yOf(s.used).toFixed(1)}`)
+			.join(' '));
+		line.setAttribute('class', 'trend-line');
+		chartEl.appendChild(line);
+	}
+
+	if (textEl) {
+		let fc = status?.forecast || {};
+		let parts = [];
+		if (Number.isFinite(fc.growthBytesPerDay) && fc.growthBytesPerDay > 0) {
+			parts.push(t('forecastGrowthPerDay', [humanSize(fc.growthBytesPerDay)]));
+			if (Number.isFinite(fc.daysToThreshold) && fc.daysToThreshold > 0) parts.push(t('forecastThresholdIn', [formatDays(fc.daysToThreshold)]));
+			if (Number.isFinite(fc.daysToFull)) parts.push(t('forecastFullIn', [formatDays(fc.daysToFull)]));
+		} else if (Number.isFinite(fc.growthBytesPerDay)) {
+			parts.push(t('forecastNoGrowth'));
+		}
+		textEl.textContent = parts.join(' · ');
+	}
+}
+
+/* ===== Per-folder breakdown (expandable detail panel) ===== */
+
+/** Turn the flat folder list (paths like "/INBOX/Sub") into a tree with subtree totals */
+function buildFolderTree(folders) {
+	let root = { path: '/', name: '', bytes: 0, count: 0, ownBytes: 0, ownCount: 0, children: [] };
+	let nodes = new Map([['/', root]]);
+
+	for (let f of folders) {
+		if (f.path === '/') {
+			root.ownBytes = f.bytes;
+			root.ownCount = f.count;
+			continue;
+		}
+		nodes.set(f.path, { path: f.path, name: f.name || f.path, type: f.type, excluded: f.excluded || null, ownBytes: f.bytes, ownCount: f.count, children: [] });
+	}
+
+	for (let node of nodes.values()) {
+		if (node === root) continue;
+		let i = node.path.lastIndexOf('/');
+		let parent = nodes.get(i > 0 ? node.path.slice(0, i) : '/') || root;
+		parent.children.push(node);
+	}
+
+	// countedBytes leaves out folders excluded by the account's folder rules
+	(function total(node) {
+		node.bytes = node.ownBytes;
+		node.count = node.ownCount;
+		node.countedBytes = node.excluded ? 0 : node.ownBytes;
+		for (let child of node.children) {
+			total(child);
+			node.bytes += child.bytes;
+			node.count += child.count;
+			node.countedBytes += child.countedBytes;
+		}
+	})(root);
+
+	return root;
+}
+
+function sortFolderNodes(nodes, sort) {
+	let dir = sort.dir;
+	return [...nodes].sort((a, b) => {
+		if (sort.key === 'name') return dir * a.name.localeCompare(b.name);
+		return dir * (a[sort.key] - b[sort.key]) || a.name.localeCompare(b.name);
+	});
+}
+
+function renderBreakdown(panelEl, data, state) {
+	let body = panelEl.querySelector('.breakdown tbody');
+	let info = panelEl.querySelector('.breakdown-info');
+	if (!body) return;
+	body.replaceChildren();
+
+	let limit = Number(data?.limitBytes || 0);
+	let tree = buildFolderTree(data?.folders || []);
+
+	if (info) {
+		info.textContent = data?.scannedAt
+			? t('breakdownScannedAt', [new Date(data.scannedAt).toLocaleString()])
+			: '';
+	}
+
+	panelEl.querySelectorAll('.breakdown th[data-sort]').forEach(th => {
+		let on = th.dataset.sort === state.sort.key;
+		th.classList.toggle('sorted', on);
+		th.dataset.dir = on ? (state.sort.dir > 0 ? 'asc' : 'desc') : '';
+	});
+
+	function addRows(node, depth) {
+		for (let child of sortFolderNodes(node.children, state.sort)) {
+			let tr = document.createElement('tr');
+
+			let nameTd = document.createElement('td');
+			nameTd.className = 'folder-name';
+			nameTd.style.paddingLeft = `${8 + depth * 16}px`;
+			let toggle = document.createElement('button');
+			toggle.className = 'tree-toggle';
+			let expanded = state.expanded.has(child.path);
+			if (child.children.length) {
+				toggle.textContent = expanded ? '▾' : '▸';
+				toggle.setAttribute('aria-expanded', String(expanded));
+				toggle.addEventListener('click', () => {
+					if (state.expanded.has(child.path)) state.expanded.delete(child.path);
+					else state.expanded.add(child.path);
+					renderBreakdown(panelEl, data, state);
+				});
+			} else {
+				toggle.disabled = true;
+			}
+			// Counted checkbox: excludes / includes this folder and its subfolders;
+			// folders excluded by type, pattern or a parent folder can't be toggled here
+			let counted = document.createElement('input');
+			counted.type = 'checkbox';
+			counted.className = 'folder-counted';
+			counted.value = child.path;
+			counted.checked = !child.excluded;
+			counted.disabled = !!child.excluded && child.excluded !== 'path';
+			counted.title = child.excluded ? t(`folderExcludedBy_${child.excluded}`) : t('folderCounted');
+			nameTd.append(toggle, counted, document.createTextNode(child.name));
+			tr.classList.toggle('excluded', !!child.excluded);
+
+			let countTd = document.createElement('td');
+			countTd.className = 'num';
+			countTd.textContent = child.count.toLocaleString();
+
+			let sizeTd = document.createElement('td');
+			sizeTd.className = 'num';
+			sizeTd.textContent = humanSize(child.bytes);
+
+			let shareTd = document.createElement('td');
+			shareTd.className = 'num';
+			if (limit > 0) {
+				let share = (child.countedBytes / limit) * 100;
+				let bar = document.createElement('span');
+				bar.className = 'share-bar';
+				bar.style.width = `${Math.min(100, share)}%`;
+				shareTd.append(bar, document.createTextNode(share < 0.1 && share > 0 ? '<0.1%' : `${share.toFixed(1)}%`));
+			}
+
+			tr.append(nameTd, countTd, sizeTd, shareTd);
+			body.appendChild(tr);
+
+			if (expanded) addRows(child, depth + 1);
+		}
+	}
+	addRows(tree, 0);
+}
+
+/** Wire up one account's detail panel; returns a refresh function (no-op while collapsed) */
+function setupDetailPanel(rowEl, panelEl) {
+	let toggleBtn = rowEl.querySelector('.toggleDetails');
+	let state = { sort: { key: 'bytes', dir: -1 }, expanded: new Set() };
+	let data = null;
+
+	async function refresh() {
+		if (panelEl.hidden) return;
+		try {
+			data = await browser.runtime.sendMessage({ type: 'getAccountBreakdown', accountId: rowEl.dataset.accountId });
+			renderBreakdown(panelEl, data, state);
+		} catch (e) {
+			console.error(e);
+		}
+	}
+
+	panelEl.querySelectorAll('.breakdown th[data-sort]').forEach(th => {
+		th.addEventListener('click', () => {
+			let key = th.dataset.sort;
+			state.sort = state.sort.key === key
+				? { key, dir: -state.sort.dir }
+				: { key, dir: key === 'name' ? 1 : -1 };
+			if (data) renderBreakdown(panelEl, data, state);
+		});
+	});
+
+	toggleBtn?.addEventListener('click', () => {
+		panelEl.hidden = !panelEl.hidden;
+		toggleBtn.setAttribute('aria-expanded', String(!panelEl.hidden));
+		toggleBtn.textContent = panelEl.hidden ? t('btnDetails') : t('btnHideDetails');
+		refresh().catch(console.error);
+	});
+
+	return refresh;
+}
+
+/* ===== Quota groups ===== */
+function getGroupEl(groupId) {
+	return [...document.querySelectorAll('.quota-group')].find(el => el.dataset.groupId === groupId) || null;
+}
+
+function getGroupName(groupId) {
+	return getGroupEl(groupId)?.querySelector('.groupName')?.value || groupId || '';
+}
+
+/** Options of a quota group select: "none" plus all groups shown on the page */
+function fillGroupSelect(sel, selectedId) {
+	if (!sel) return;
+	[...sel.options].slice(1).forEach(o => o.remove());
+	for (let el of document.querySelectorAll('.quota-group')) {
+		let opt = document.createElement('option');
+		opt.value = el.dataset.groupId;
+		opt.textContent = getGroupName(el.dataset.groupId);
+		sel.appendChild(opt);
+	}
+	sel.value = getGroupEl(selectedId) ? selectedId : '';
+}
+
+function refreshGroupSelects() {
+	document.querySelectorAll('.row-details .quotaGroup').forEach(sel => fillGroupSelect(sel, sel.value));
+}
+
+/** Show an account row (and its detail panel) below its group, or among the ungrouped rows; members use the group's limit */
+function placeAccountRow(rowEl, panelEl, groupId) {
+	let membersEl = groupId ? getGroupEl(groupId)?.querySelector('.group-members') : null;
+	(membersEl || $('#rows'))?.append(...[rowEl, panelEl].filter(Boolean));
+
+	let member = !!membersEl;
+	for (let el of rowEl.querySelectorAll('.limit, .quotaSource, .threshold')) el.disabled = member || el.classList.contains('locked');
+	let presetBtn = rowEl.querySelector('.preset-suggestion');
+	if (presetBtn && member) presetBtn.hidden = true;
+}
+
+/* ===== Managed policy (locked fields) ===== */
+const MFA_LOCKED_FIELD_SELECTORS = {
+	limitBytes: '.limit',
+	quotaSource: '.quotaSource',
+	thresholdPct: '.threshold',
+	criticalPct: '.criticalPct',
+	fullPct: '.fullPct'
+};
+
+/** Disable the inputs of fields set by the organization's policy and show the "managed" hint */
+function applyLockedFields(rowEl, panelEl, locked) {
+	for (let key of locked || []) {
+		for (let el of [rowEl, panelEl]) {
+			let input = el?.querySelector(MFA_LOCKED_FIELD_SELECTORS[key]);
+			if (!input) continue;
+			input.classList.add('locked');
+			input.disabled = true;
+			input.title = t('hintManaged');
+		}
+	}
+	let hint = rowEl.querySelector('.managed-hint');
+	if (hint) hint.hidden = !locked?.length;
+}
+
+/** Repaint all account and group rows from a fresh snapshot */
+async function repaintAllRows() {
+	let usage = await browser.runtime.sendMessage({ type: 'getAccountsUsage' });
+	let byId = Object.fromEntries(usage.map(u => [u.id, u]));
+	document.querySelectorAll('.grid-row').forEach(row => {
+		let id = row.dataset.accountId;
+		if (byId[id]) paintUsageColumns(row, byId[id]);
+		else paintUsageColumns(row, { limitBytes: 0, usedBytes: 0, thresholdPct: MFA_DEFAULT_THRESHOLD_PCT });
+	});
+}
+
+/* ===== Live scan progress (port to the background) ===== */
+const MFA_SCAN_PORT_NAME = 'scan-progress';
+
+/** Show (or hide, once done) the progress bar of the row whose account is being scanned */
+function paintScanProgress(msg) {
+	let rowEl = [...document.querySelectorAll('.grid-row')].find(el => el.dataset.accountId === msg.accountId);
+	let box = rowEl?.querySelector('.scan-progress');
+	if (!box) return;
+
+	if (msg.state !== 'running') {
+		box.hidden = true;
+		return;
+	}
+	let bar = box.querySelector('.scanBar');
+	if (bar) {
+		if (msg.foldersTotal > 0) {
+			bar.max = msg.foldersTotal;
+			bar.value = msg.foldersDone;
+		} else {
+			bar.removeAttribute('value'); // indeterminate while folders are collected
+		}
+	}
+	let text = box.querySelector('.scanText');
+	if (text) text.textContent = t('scanProgress', [String(msg.foldersDone), String(msg.foldersTotal), humanSize(msg.bytes)]);
+	box.hidden = false;
+}
+
+function setupScanProgress() {
+	let port = browser.runtime.connect({ name: MFA_SCAN_PORT_NAME });
+	port.onMessage.addListener((msg) => {
+		if (msg?.type === 'scanProgress') paintScanProgress(msg);
+	});
+
+	document.addEventListener('click', (ev) => {
+		let btn = ev.target.closest?.('.cancelScan');
+		if (!btn) return;
+		let rowEl = btn.closest('.grid-row');
+		if (rowEl) port.postMessage({ type: 'cancelScan', accountId: rowEl.dataset.accountId });
+	});
+}
+
+/* ===== Notification policy & snooze (detail panel) ===== */
+function getDetailPanel(rowEl) {
+	return [...document.querySelectorAll('.row-details')].find(el => el.dataset.accountId === rowEl.dataset.accountId) || null;
+}
+
+function paintSnoozeStatus(panelEl, status) {
+	let statusEl = panelEl?.querySelector('.snoozeStatus');
+	let resumeBtn = panelEl?.querySelector('.resumeNotifications');
+	if (!statusEl) return;
+
+	let text = '';
+	if (status?.snoozedUntil) text = t('statusSnoozedUntil', [new Date(status.snoozedUntil).toLocaleString()]);
+	else if (status?.acknowledged) text = t('statusAcknowledged');
+	statusEl.textContent = text;
+	if (resumeBtn) resumeBtn.hidden = !text;
+}
+
+function toggleGrowthInput(panelEl) {
+	let policy = panelEl?.querySelector('.renotifyPolicy')?.value;
+	let wrap = panelEl?.querySelector('.renotifyGrowthWrap');
+	if (wrap) wrap.hidden = policy !== 'growth';
+}
+
+/* ===== Select helpers ===== */
+
+/** Select a numeric option; values missing from the list are added so stored settings survive */
+function setSelectValue(sel, value) {
+	if (!sel) return;
+	let v = String(value);
+	if (![...sel.options].some(o => o.value === v)) {
+		let opt = document.createElement('option');
+		opt.value = v;
+		opt.textContent = `${v}%`;
+		sel.appendChild(opt);
+	}
+	sel.value = v;
+}
+
 /* ===== Interval mapping ===== */
 function intervalSelectToMinutes(val) {
 	let map = { off: 0, '5m': 5, '30m': 30, '1h': 60, '3h': 180, '6h': 360, '12h': 720, '24h': 1440 };
@@ -168,6 +582,278 @@ function minutesToIntervalSelect(mins) {
 	return map[m] || '6h';
 }
 
+/* ===== Quiet hours (global) ===== */
+
+/** Localized short weekday names, Monday first; values are Date#getDay() numbers */
+function getWeekdays() {
+	let fmt = new Intl.DateTimeFormat(undefined, { weekday: 'short' });
+	let monday = new Date(2024, 0, 1); // a Monday
+	return [1, 2, 3, 4, 5, 6, 0].map((day, i) => {
+		let d = new Date(monday);
+		d.setDate(monday.getDate() + i);
+		return { day, label: fmt.format(d) };
+	});
+}
+
+function setupQuietHours(quietHours) {
+	let enabledEl = $('#quietEnabled');
+	let startEl = $('#quietStart');
+	let endEl = $('#quietEnd');
+	let daysEl = $('#quietDays');
+	if (!enabledEl || !startEl || !endEl || !daysEl) return;
+
+	let qh = quietHours || {};
+	enabledEl.checked = qh.enabled === true;
+	startEl.value = qh.start || '22:00';
+	endEl.value = qh.end || '07:00';
+
+	let days = new Set(Array.isArray(qh.days) ? qh.days : []);
+	daysEl.replaceChildren();
+	for (let { day, label } of getWeekdays()) {
+		let lbl = document.createElement('label');
+		lbl.className = 'inline';
+		let cb = document.createElement('input');
+		cb.type = 'checkbox';
+		cb.value = String(day);
+		cb.checked = days.has(day);
+		lbl.append(cb, document.createTextNode(label));
+		daysEl.appendChild(lbl);
+	}
+
+	let syncDisabled = () => {
+		let off = !enabledEl.checked;
+		startEl.disabled = off;
+		endEl.disabled = off;
+		daysEl.querySelectorAll('input').forEach(cb => { cb.disabled = off; });
+	};
+	syncDisabled();
+
+	let save = async () => {
+		syncDisabled();
+		let next = {
+			enabled: enabledEl.checked,
+			start: startEl.value,
+			end: endEl.value,
+			days: [...daysEl.querySelectorAll('input:checked')].map(cb => Number(cb.value))
+		};
+		try {
+			await browser.runtime.sendMessage({ type: 'saveQuietHours', quietHours: next });
+		} catch (e) { console.error(e); }
+	};
+	for (let el of [enabledEl, startEl, endEl, daysEl]) el.addEventListener('change', save);
+}
+
+/* ===== Settings export / import & usage report (global) ===== */
+
+/** Offer text as a file download */
+function downloadFile(fileName, text, mimeType) {
+	let url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+	let a = document.createElement('a');
+	a.href = url;
+	a.download = fileName;
+	document.body.appendChild(a);
+	a.click();
+	a.remove();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** "mailbox-usage-2026-10-19.csv" */
+function datedFileName(prefix, ext) {
+	return `${prefix}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+function csvField(value) {
+	let s = value == null ? '' : String(value);
+	return /[",;\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** One line per account / group, followed by one line per folder (sizes in bytes) */
+function buildUsageReportCsv(report) {
+	let lines = [['account', 'emails', 'group', 'folder', 'status', 'bytes', 'messages', 'counted', 'limitBytes', 'pctUsed', 'level', 'lastChecked']];
+	for (let a of report.accounts) {
+		let pct = a.pctUsed === null ? '' : a.pctUsed.toFixed(1);
+		lines.push([a.name, a.emails.join(' '), a.group, '', a.status, a.usedBytes, '', '', a.limitBytes, pct, a.level, a.lastCheckedAt]);
+		for (let f of a.folders) {
+			lines.push([a.name, '', '', f.path, '', f.bytes, f.count, f.counted ? 'yes' : 'no', '', '', '', '']);
+		}
+	}
+	return lines.map(line => line.map(csvField).join(',')).join('\r\n');
+}
+
+function setupTransfer() {
+	$('#exportSettings')?.addEventListener('click', async () => {
+		try {
+			let data = await browser.runtime.sendMessage({ type: 'exportSettings' });
+			downloadFile(datedFileName('mailbox-full-alert-settings', 'json'), JSON.stringify(data, null, 2), 'application/json');
+		} catch (e) { console.error(e); }
+	});
+
+	let fileInput = $('#importFile');
+	$('#importSettings')?.addEventListener('click', () => fileInput?.click());
+	fileInput?.addEventListener('change', async () => {
+		let file = fileInput.files?.[0];
+		fileInput.value = '';
+		if (!file) return;
+
+		let res = null;
+		try {
+			res = await browser.runtime.sendMessage({ type: 'importSettings', data: JSON.parse(await file.text()) });
+		} catch (e) {
+			console.error(e);
+			res = { ok: false, error: 'importErrorFormat' };
+		}
+		if (!res?.ok) {
+			window.alert(t(res?.error || 'importErrorFormat'));
+			return;
+		}
+		let msg = t('importDone', [String(res.matched)]);
+		if (res.unmatched.length) msg += `\n${t('importUnmatched', [res.unmatched.join(', ')])}`;
+		window.alert(msg);
+		location.reload(); // rows are rebuilt from the imported settings
+	});
+
+	let report = async (format) => {
+		try {
+			let data = await browser.runtime.sendMessage({ type: 'getUsageReport' });
+			if (format === 'csv') downloadFile(datedFileName('mailbox-usage', 'csv'), buildUsageReportCsv(data), 'text/csv');
+			else downloadFile(datedFileName('mailbox-usage', 'json'), JSON.stringify(data, null, 2), 'application/json');
+		} catch (e) { console.error(e); }
+	};
+	$('#reportCsv')?.addEventListener('click', () => { report('csv').catch(console.error); });
+	$('#reportJson')?.addEventListener('click', () => { report('json').catch(console.error); });
+}
+
+/* ===== Diagnostics: check log ===== */
+const MFA_LOG_REASON_KEYS = {
+	manual: 'logReasonManual',
+	startup: 'logReasonStartup',
+	scheduled: 'logReasonScheduled',
+	newMail: 'logReasonNewMail',
+	quietHours: 'logReasonQuietHours',
+	account: 'logReasonAccount',
+	cleanup: 'logReasonCleanup',
+	import: 'logReasonImport'
+};
+const MFA_LOG_SKIPPED_KEYS = {
+	inactive: 'logSkippedInactive',
+	noLimit: 'logSkippedNoLimit',
+	cancelled: 'logSkippedCancelled',
+	deferred: 'logSkippedDeferred',
+	members: 'logSkippedMembers'
+};
+const MFA_LOG_LEVEL_KEYS = { warning: 'logLevelWarning', critical: 'logLevelCritical', full: 'logLevelFull' };
+
+/** Cells of one account / group line: usage, folders walked and the result */
+function describeLogTarget(target) {
+	let used = Number.isFinite(target.usedBytes) ? humanSize(target.usedBytes) : '–';
+	let usage = target.limitBytes > 0 ? `${used} / ${humanSize(target.limitBytes)}`
+		: (Number.isFinite(target.usedBytes) ? used : '');
+	let folders = Number.isFinite(target.foldersScanned) ? String(target.foldersScanned) : '';
+	let result;
+	if (target.error) result = t('logError', [target.error]);
+	else if (target.skipped) result = t(MFA_LOG_SKIPPED_KEYS[target.skipped] || 'logSkippedInactive');
+	else if (target.group && !target.level) result = t('logGroupMember');
+	else result = t(MFA_LOG_LEVEL_KEYS[target.level] || 'logLevelNone');
+	if (target.notified) result += ` · ${t('logNotified')}`;
+	return { usage, folders, result };
+}
+
+function describeLogRun(run) {
+	return {
+		time: new Date(run.startedAt).toLocaleString(),
+		reason: t(MFA_LOG_REASON_KEYS[run.reason] || 'logReasonManual'),
+		duration: t('logDuration', [String(run.durationMs ?? '')])
+	};
+}
+
+function renderCheckLog(runs) {
+	let tbody = $('#checkLogRows');
+	if (!tbody) return;
+	tbody.replaceChildren();
+
+	let addRow = (cells, className = '') => {
+		let tr = document.createElement('tr');
+		if (className) tr.className = className;
+		for (let { text, error } of cells) {
+			let td = document.createElement('td');
+			td.textContent = text;
+			if (error) td.classList.add('log-error');
+			tr.appendChild(td);
+		}
+		tbody.appendChild(tr);
+	};
+
+	for (let run of [...runs].reverse()) {
+		let r = describeLogRun(run);
+		let lines = run.error ? [{ name: '', usage: '', folders: '', result: t('logError', [run.error]), error: true }] : [];
+		for (let target of run.targets || []) lines.push({ name: target.name, ...describeLogTarget(target), error: !!target.error });
+		if (!lines.length) lines.push({ name: '', usage: '', folders: '', result: t('logNoTargets') });
+
+		lines.forEach((line, i) => {
+			addRow([
+				{ text: i === 0 ? r.time : '' },
+				{ text: i === 0 ? r.reason : '' },
+				{ text: i === 0 ? r.duration : '' },
+				{ text: line.name },
+				{ text: line.usage },
+				{ text: line.folders },
+				{ text: line.result, error: line.error }
+			], i === 0 ? 'run-start' : '');
+		});
+	}
+}
+
+/** Plain-text version of the log for bug reports */
+function formatCheckLogText(data) {
+	let out = [`Mailbox Full Alert ${data.addonVersion || ''} · ${data.browser || ''}`.trim()];
+	for (let run of data.runs) {
+		let r = describeLogRun(run);
+		out.push('', `${r.time} · ${r.reason} · ${r.duration}${run.error ? ` · ${t('logError', [run.error])}` : ''}`);
+		for (let target of run.targets || []) {
+			let d = describeLogTarget(target);
+			out.push(`  ${target.name}: ${[d.usage, d.folders && `${t('colLogFolders')}: ${d.folders}`, d.result].filter(Boolean).join(' · ')}`);
+		}
+	}
+	return out.join('\n');
+}
+
+function setupDiagnostics() {
+	let details = $('#diagnostics');
+	if (!details) return;
+
+	let data = { runs: [] };
+	let status = (text) => {
+		let el = $('#checkLogStatus');
+		if (el) el.textContent = text || '';
+	};
+	let refresh = async () => {
+		data = await browser.runtime.sendMessage({ type: 'getCheckLog' }) || { runs: [] };
+		renderCheckLog(data.runs);
+	};
+
+	details.addEventListener('toggle', () => {
+		if (details.open) refresh().catch(console.error);
+	});
+	$('#copyCheckLog')?.addEventListener('click', async () => {
+		try {
+			await refresh();
+			await navigator.clipboard.writeText(formatCheckLogText(data));
+			status(t('statusLogCopied'));
+		} catch (e) {
+			console.error(e);
+		}
+	});
+	$('#clearCheckLog')?.addEventListener('click', async () => {
+		try {
+			await browser.runtime.sendMessage({ type: 'clearCheckLog' });
+			await refresh();
+			status('');
+		} catch (e) {
+			console.error(e);
+		}
+	});
+}
+
 /* ===== Page boot ===== */
 async function load() {
 	localizeDocument();
@@ -182,15 +868,24 @@ async function load() {
 	// Collect per-row flushers to try saving before the options window closes.
 	const flushPendingUpdates = [];
 
+	let globalSettings = null;
+	try {
+		globalSettings = await browser.runtime.sendMessage({ type: 'getGlobalSettings' });
+	} catch (e) {
+		console.error(e);
+	}
+
+	// Quiet hours (auto-save)
+	setupQuietHours(globalSettings?.quietHours);
+
 	// Bottom interval selector (auto-save)
 	let selInterval = $('#intervalHours');
 	if (selInterval) {
-		try {
-			let gs = await browser.runtime.sendMessage({ type: 'getGlobalSettings' });
-			selInterval.value = minutesToIntervalSelect(gs?.intervalMin);
-		} catch (e) {
-			console.error(e);
-			selInterval.value = minutesToIntervalSelect(MFA_DEFAULT_INTERVAL_MIN);
+		selInterval.value = minutesToIntervalSelect(globalSettings?.intervalMin ?? MFA_DEFAULT_INTERVAL_MIN);
+		if (globalSettings?.intervalLocked) {
+			selInterval.disabled = true;
+			let hint = $('#intervalManaged');
+			if (hint) hint.hidden = false;
 		}
 		selInterval.addEventListener('change', async () => {
 			let minutes = intervalSelectToMinutes(selInterval.value);
@@ -200,11 +895,144 @@ async function load() {
 		});
 	}
 
+	// Toolbar badge mode (auto-save)
+	let selBadgeMode = $('#badgeMode');
+	if (selBadgeMode) {
+		setSelectValue(selBadgeMode, globalSettings?.badgeMode ?? 'worst');
+		selBadgeMode.addEventListener('change', async () => {
+			try {
+				await browser.runtime.sendMessage({ type: 'saveBadgeMode', badgeMode: selBadgeMode.value });
+			} catch (e) { console.error(e); }
+		});
+	}
+
+	// Settings export / import and usage reports
+	setupTransfer();
+
+	// Log of the last checks (loaded when the section is opened)
+	setupDiagnostics();
+
+	// Progress bars and cancel links of running folder scans
+	setupScanProgress();
+
 	// Accounts table rendering
 	let rowsEl = $('#rows');
 	if (!rowsEl) return;
 	rowsEl.innerHTML = '';
 
+	// Quota groups: one row per group (shared limit and warning level), member rows are placed below it
+	let groupsEl = $('#groups');
+	function addGroupRow(g) {
+		let tpl = $('#group-tpl');
+		if (!tpl || !groupsEl) return null;
+
+		let frag = document.importNode(tpl.content, true);
+		localizeWithin(frag);
+		let groupEl = frag.querySelector('.quota-group');
+		let rowEl = groupEl.querySelector('.group-row');
+		let membersEl = groupEl.querySelector('.group-members');
+		groupEl.dataset.groupId = g.id;
+		rowEl.dataset.accountId = `${MFA_GROUP_ID_PREFIX}${g.id}`;
+		membersEl.dataset.empty = t('groupNoMembers');
+
+		let activeToggle = rowEl.querySelector('.activeToggle');
+		let nameInput = rowEl.querySelector('.groupName');
+		let limitInput = rowEl.querySelector('.limit');
+		let thresholdSelect = rowEl.querySelector('.threshold');
+		let toggleBtn = rowEl.querySelector('.toggleMembers');
+
+		activeToggle.checked = g.active !== false;
+		nameInput.value = g.name;
+		limitInput.value = formatSizeForInput(g.limitBytes);
+		setSelectValue(thresholdSelect, Number.isFinite(g.thresholdPct) ? g.thresholdPct : MFA_DEFAULT_THRESHOLD_PCT);
+
+		let savedLimitBytes = Number(g.limitBytes || 0);
+		let timer = null;
+
+		async function saveGroup() {
+			if (timer) clearTimeout(timer);
+			timer = null;
+
+			let raw = limitInput.value.trim();
+			let limitBytes = raw === '' ? 0 : raw === formatSizeForInput(savedLimitBytes) ? savedLimitBytes : parseSizeToBytes(raw, 'GB');
+			if (!Number.isFinite(limitBytes)) return;
+
+			let group = { name: nameInput.value, active: activeToggle.checked, limitBytes, thresholdPct: Number(thresholdSelect.value) };
+			await browser.runtime.sendMessage({ type: 'saveQuotaGroup', groupId: g.id, group });
+			savedLimitBytes = limitBytes;
+			refreshGroupSelects();
+			await browser.runtime.sendMessage({ type: 'runCheckNow', force: true, accountId: rowEl.dataset.accountId });
+			await repaintAllRows();
+		}
+
+		function scheduleSaveGroup() {
+			if (timer) clearTimeout(timer);
+			timer = setTimeout(() => { saveGroup().catch(console.error); }, MFA_AUTOSAVE_DEBOUNCE_MS);
+		}
+
+		nameInput.addEventListener('input', scheduleSaveGroup);
+		limitInput.addEventListener('input', () => {
+			let raw = limitInput.value.trim();
+			limitInput.classList.toggle('invalid', raw !== '' && !Number.isFinite(parseSizeToBytes(raw, 'GB')));
+			scheduleSaveGroup();
+		});
+		for (let el of [activeToggle, nameInput, limitInput, thresholdSelect]) {
+			el.addEventListener('change', () => { saveGroup().catch(console.error); });
+		}
+
+		toggleBtn.addEventListener('click', () => {
+			membersEl.hidden = !membersEl.hidden;
+			toggleBtn.textContent = membersEl.hidden ? '▸' : '▾';
+			toggleBtn.setAttribute('aria-expanded', String(!membersEl.hidden));
+		});
+
+		rowEl.querySelector('.removeGroup')?.addEventListener('click', async () => {
+			if (!window.confirm(t('confirmRemoveGroup', [nameInput.value]))) return;
+			try {
+				await browser.runtime.sendMessage({ type: 'removeQuotaGroup', groupId: g.id });
+				// members are monitored on their own again
+				for (let memberRow of [...membersEl.querySelectorAll('.grid-row')]) {
+					placeAccountRow(memberRow, getDetailPanel(memberRow), null);
+				}
+				groupEl.remove();
+				refreshGroupSelects();
+				await browser.runtime.sendMessage({ type: 'runCheckNow' });
+				await repaintAllRows();
+			} catch (e) {
+				console.error(e);
+			}
+		});
+
+		groupsEl.appendChild(frag);
+		return groupEl;
+	}
+
+	let groups = [];
+	try {
+		groups = await browser.runtime.sendMessage({ type: 'getQuotaGroups' }) || [];
+	} catch (e) {
+		console.error('Failed to get quota groups', e);
+	}
+	if (groupsEl) groupsEl.innerHTML = '';
+	for (let g of groups) addGroupRow(g);
+
+	$('#addGroup')?.addEventListener('click', async () => {
+		let group = {
+			name: t('defaultGroupName', [String(document.querySelectorAll('.quota-group').length + 1)]),
+			active: true,
+			limitBytes: 0,
+			thresholdPct: MFA_DEFAULT_THRESHOLD_PCT
+		};
+		try {
+			let res = await browser.runtime.sendMessage({ type: 'saveQuotaGroup', group });
+			let groupEl = addGroupRow({ id: res.groupId, ...group });
+			refreshGroupSelects();
+			groupEl?.querySelector('.groupName')?.select();
+		} catch (e) {
+			console.error(e);
+		}
+	});
+
 	let accounts = [];
 	try {
 		accounts = await browser.runtime.sendMessage({ type: 'getAccountsState' });
@@ -212,35 +1040,80 @@ async function load() {
 		console.error('Failed to get accounts state', e);
 	}
 
-	for (let a of accounts) {
+	function addAccountRow(a) {
 		let tplNode = $('#row-tpl');
-		if (!tplNode) break;
+		if (!tplNode) return;
 
 		let frag = document.importNode(tplNode.content, true);
 		localizeWithin(frag);
 
 		let rowEl = frag.querySelector('.grid-row');
-		if (!rowEl) continue;
+		if (!rowEl) return;
 		rowEl.dataset.accountId = a.id;
 
+		let panelEl = frag.querySelector('.row-details');
+		if (panelEl) panelEl.dataset.accountId = a.id;
+		let refreshDetails = panelEl ? setupDetailPanel(rowEl, panelEl) : async () => {};
+
+		panelEl?.querySelector('.openLargest')?.addEventListener('click', () => {
+			browser.runtime.sendMessage({ type: 'openLargestMessages', accountId: a.id }).catch(console.error);
+		});
+		panelEl?.querySelector('.openCleanup')?.addEventListener('click', () => {
+			browser.runtime.sendMessage({ type: 'openCleanup', accountId: a.id }).catch(console.error);
+		});
+
 		let activeToggle = rowEl.querySelector('.activeToggle');
 		let nameEl = rowEl.querySelector('.name');
 		let limitInput = rowEl.querySelector('.limit');
 		let thresholdSelect = rowEl.querySelector('.threshold');
+		let quotaSourceSelect = rowEl.querySelector('.quotaSource');
+		let criticalSelect = panelEl?.querySelector('.criticalPct');
+		let fullSelect = panelEl?.querySelector('.fullPct');
+		let freeInput = panelEl?.querySelector('.freeThreshold');
+		let policySelect = panelEl?.querySelector('.renotifyPolicy');
+		let growthInput = panelEl?.querySelector('.renotifyGrowthPct');
+		let typeBoxes = [...(panelEl?.querySelectorAll('.excludeType') || [])];
+		let patternsInput = panelEl?.querySelector('.folderPatterns');
+		let accountingSelect = panelEl?.querySelector('.accountingMode');
+		let groupSelect = panelEl?.querySelector('.quotaGroup');
 		let btn = rowEl.querySelector('.saveAndCheckRow');
 
 		if (activeToggle) activeToggle.checked = a.active !== false;
 		if (nameEl) nameEl.textContent = a.name || a.id;
-		if (limitInput) limitInput.value = fromBytesToGBString(a.limitBytes);
+		if (limitInput) limitInput.value = formatSizeForInput(a.limitBytes);
+		if (quotaSourceSelect) quotaSourceSelect.value = a.quotaSource || MFA_DEFAULT_QUOTA_SOURCE;
+		if (accountingSelect) accountingSelect.value = a.accountingMode || MFA_DEFAULT_ACCOUNTING_MODE;
+		fillGroupSelect(groupSelect, a.groupId);
+		setSelectValue(criticalSelect, Number.isFinite(a.criticalPct) ? a.criticalPct : MFA_DEFAULT_CRITICAL_PCT);
+		setSelectValue(fullSelect, Number.isFinite(a.fullPct) ? a.fullPct : MFA_DEFAULT_FULL_PCT);
 
 		let pct = Number.isFinite(a.thresholdPct) ? a.thresholdPct : MFA_DEFAULT_THRESHOLD_PCT;
-		if (thresholdSelect) thresholdSelect.value = String([50, 60, 70, 80, 90, 95].includes(pct) ? pct : MFA_DEFAULT_THRESHOLD_PCT);
+		setSelectValue(thresholdSelect, pct);
+		if (freeInput) freeInput.value = formatSizeForInput(a.freeThresholdBytes);
+		if (policySelect) policySelect.value = a.renotifyPolicy || MFA_DEFAULT_RENOTIFY_POLICY;
+		if (growthInput) growthInput.value = String(a.renotifyGrowthPct || MFA_DEFAULT_RENOTIFY_GROWTH_PCT);
+		toggleGrowthInput(panelEl);
+
+		// Folder rules: single folders are toggled in the breakdown, types and patterns here
+		let excludePaths = [...(a.folderRules?.excludePaths || [])];
+		for (let cb of typeBoxes) cb.checked = (a.folderRules?.excludeTypes || []).includes(cb.value);
+		if (patternsInput) patternsInput.value = (a.folderRules?.excludePatterns || []).join(', ');
+
+		function readFolderRules() {
+			return {
+				excludePaths,
+				excludeTypes: typeBoxes.filter(cb => cb.checked).map(cb => cb.value),
+				excludePatterns: (patternsInput?.value || '').split(',').map(p => p.trim()).filter(Boolean)
+			};
+		}
 
 		// Keep last successfully saved values, so we don't overwrite storage with 0 when the user
 		// temporarily types an invalid number like "1.".
 		let savedLimitBytes = Number(a.limitBytes || 0);
+		let savedFreeThresholdBytes = Number(a.freeThresholdBytes || 0);
 		let savedThresholdPct = Number(thresholdSelect?.value ?? MFA_DEFAULT_THRESHOLD_PCT);
 		let savedActive = !!activeToggle?.checked;
+		let savedGroupId = groupSelect?.value || null;
 
 		let autosaveTimer = null;
 		let inFlight = false;
@@ -252,56 +1125,94 @@ async function load() {
 			btn.textContent = on ? t('btnUpdating') : t('btnUpdate');
 		}
 
-		function computeLimitBytesForSave() {
-			let raw = (limitInput?.value ?? '').trim();
+		function computeSizeBytesForSave(input, savedBytes, defaultUnit) {
+			let raw = (input?.value ?? '').trim();
 			if (raw === '') return 0;
 
-			let bytes = toBytesGB(raw);
+			// Unchanged (rounded) display value: keep the exact stored bytes
+			if (raw === formatSizeForInput(savedBytes)) return savedBytes;
+
+			let bytes = parseSizeToBytes(raw, defaultUnit);
 			if (Number.isFinite(bytes)) return bytes;
 
-			// If invalid but non-empty, do not clobber the stored limit.
-			return savedLimitBytes;
+			// If invalid but non-empty, do not clobber the stored value.
+			return savedBytes;
 		}
 
-		function isLimitValueValidOrEmpty() {
-			let raw = (limitInput?.value ?? '').trim();
+		function isSizeValueValidOrEmpty(input, defaultUnit) {
+			let raw = (input?.value ?? '').trim();
 			if (raw === '') return true;
-			return Number.isFinite(toBytesGB(raw));
+			return Number.isFinite(parseSizeToBytes(raw, defaultUnit));
 		}
 
-		async function saveAndCheckRow() {
-			if (inFlight) { pending = true; return; }
+		function isLimitValueValidOrEmpty() {
+			return isSizeValueValidOrEmpty(limitInput, 'GB');
+		}
+
+		// Full rescan of the account's folders is only done on explicit request (Update button)
+		let pendingRescan = false;
+
+		async function saveAndCheckRow({ rescan = false } = {}) {
+			if (inFlight) { pending = true; pendingRescan = pendingRescan || rescan; return; }
+			if (!rowEl.isConnected) return; // account removed in the meantime
 
 			inFlight = true;
 			pending = false;
+			rescan = rescan || pendingRescan;
+			pendingRescan = false;
 
-			let limitBytes = computeLimitBytesForSave();
+			let limitBytes = computeSizeBytesForSave(limitInput, savedLimitBytes, 'GB');
+			let freeThresholdBytes = computeSizeBytesForSave(freeInput, savedFreeThresholdBytes, 'MB');
 			let pctVal = Number(thresholdSelect?.value ?? MFA_DEFAULT_THRESHOLD_PCT);
 			let isActive = !!activeToggle?.checked;
+			let quotaSource = quotaSourceSelect?.value || MFA_DEFAULT_QUOTA_SOURCE;
 
 			let payload = {
 				[rowEl.dataset.accountId]: {
 					active: isActive,
 					limitBytes,
-					thresholdPct: pctVal
+					thresholdPct: pctVal,
+					criticalPct: Number(criticalSelect?.value ?? MFA_DEFAULT_CRITICAL_PCT),
+					fullPct: Number(fullSelect?.value ?? MFA_DEFAULT_FULL_PCT),
+					freeThresholdBytes,
+					renotifyPolicy: policySelect?.value || MFA_DEFAULT_RENOTIFY_POLICY,
+					renotifyGrowthPct: Number(growthInput?.value) > 0 ? Number(growthInput.value) : MFA_DEFAULT_RENOTIFY_GROWTH_PCT,
+					quotaSource,
+					folderRules: readFolderRules(),
+					accountingMode: accountingSelect?.value || MFA_DEFAULT_ACCOUNTING_MODE,
+					groupId: groupSelect?.value || null
 				}
 			};
+			let groupId = payload[rowEl.dataset.accountId].groupId;
 
 			setButtonBusy(true);
 
 			try {
 				await browser.runtime.sendMessage({ type: 'saveAccountsConfig', payload });
-				await browser.runtime.sendMessage({ type: 'runCheckNow', force: true, accountId: rowEl.dataset.accountId });
+				// Joining or leaving a group changes two alert targets: check everything
+				let groupChanged = groupId !== savedGroupId;
+				let res = await browser.runtime.sendMessage({ type: 'runCheckNow', force: true, rescan, accountId: groupChanged ? null : rowEl.dataset.accountId });
 
 				// Update "last saved" values only after successful save
 				savedLimitBytes = limitBytes;
+				savedFreeThresholdBytes = freeThresholdBytes;
 				savedThresholdPct = pctVal;
 				savedActive = isActive;
-
-				// Repaint usage columns with fresh snapshot (includes time)
-				let usage = await browser.runtime.sendMessage({ type: 'getAccountsUsage' });
-				let one = usage.find(u => u.id === rowEl.dataset.accountId);
-				if (one) paintUsageColumns(rowEl, one);
+				savedGroupId = groupId;
+
+				// A cancelled scan keeps the last usage on screen
+				if (res?.cancelled?.includes(rowEl.dataset.accountId)) return;
+
+				// Repaint usage columns with fresh snapshot (read from the usage cache, includes time);
+				// a group member also changes its group's row
+				if (groupId || groupChanged) {
+					await repaintAllRows();
+				} else {
+					let usage = await browser.runtime.sendMessage({ type: 'getAccountsUsage' });
+					let one = usage.find(u => u.id === rowEl.dataset.accountId);
+					if (one) paintUsageColumns(rowEl, one);
+				}
+				await refreshDetails();
 			} catch (e) {
 				console.error(e);
 			} finally {
@@ -315,10 +1226,10 @@ async function load() {
 			}
 		}
 
-		function triggerImmediateSaveAndCheck() {
+		function triggerImmediateSaveAndCheck(opts) {
 			if (autosaveTimer) clearTimeout(autosaveTimer);
 			autosaveTimer = null;
-			saveAndCheckRow().catch(console.error);
+			saveAndCheckRow(opts).catch(console.error);
 		}
 
 		function scheduleSaveAndCheck(delayMs) {
@@ -353,32 +1264,86 @@ async function load() {
 			triggerImmediateSaveAndCheck();
 		});
 
-		// GB validation
-		let handleGB = () => {
-			if (!limitInput) return;
-			if (limitInput.value.includes(',')) limitInput.value = limitInput.value.replace(',', '.');
-			let bytes = toBytesGB(limitInput.value);
-			let valid = Number.isFinite(bytes) || limitInput.value === '';
-			limitInput.classList.toggle('invalid', !valid && limitInput.value !== '');
+		// Quota source, critical/full level, re-notify policy and accounting mode changes: auto save+check immediately
+		// Quota group: the row moves below its group (or back) right away
+		groupSelect?.addEventListener('change', () => {
+			placeAccountRow(rowEl, panelEl, groupSelect.value || null);
+			triggerImmediateSaveAndCheck();
+		});
+
+		for (let sel of [quotaSourceSelect, criticalSelect, fullSelect, policySelect, growthInput, accountingSelect]) {
+			sel?.addEventListener('change', () => {
+				toggleGrowthInput(panelEl);
+				triggerImmediateSaveAndCheck();
+			});
+		}
+
+		// Snooze / acknowledge / resume: stored in the background, then repaint the row
+		async function sendSnoozeAction(msg) {
+			try {
+				await browser.runtime.sendMessage({ ...msg, accountId: rowEl.dataset.accountId });
+				let usage = await browser.runtime.sendMessage({ type: 'getAccountsUsage' });
+				let one = usage.find(u => u.id === rowEl.dataset.accountId);
+				if (one) paintUsageColumns(rowEl, one);
+			} catch (e) {
+				console.error(e);
+			}
+		}
+		panelEl?.querySelector('.snoozeAccount')?.addEventListener('click', () => {
+			let days = Number(panelEl.querySelector('.snoozeDays')?.value) || 1;
+			sendSnoozeAction({ type: 'snoozeAccount', days });
+		});
+		panelEl?.querySelector('.acknowledgeAccount')?.addEventListener('click', () => {
+			sendSnoozeAction({ type: 'acknowledgeAccount' });
+		});
+		panelEl?.querySelector('.resumeNotifications')?.addEventListener('click', () => {
+			sendSnoozeAction({ type: 'clearSnooze' });
+		});
+
+		// Size validation (plain numbers are GB for the limit, MB for the free-space rule)
+		let validateSizeInput = (input, defaultUnit) => {
+			if (!input) return;
+			if (input.value.includes(',')) input.value = input.value.replace(',', '.');
+			let valid = isSizeValueValidOrEmpty(input, defaultUnit);
+			input.classList.toggle('invalid', !valid && input.value !== '');
 		};
+		let handleGB = () => validateSizeInput(limitInput, 'GB');
 		limitInput?.addEventListener('input', handleGB);
 		handleGB();
 
+		// Provider preset: offered as a suggestion while the entered size differs from it
+		let presetBtn = rowEl.querySelector('.preset-suggestion');
+		function paintPresetSuggestion() {
+			if (!presetBtn || !a.preset || a.locked?.includes('limitBytes')) return;
+			presetBtn.hidden = computeSizeBytesForSave(limitInput, savedLimitBytes, 'GB') === a.preset.limitBytes;
+			presetBtn.textContent = t('btnUsePreset', [a.preset.name, humanSize(a.preset.limitBytes)]);
+		}
+		presetBtn?.addEventListener('click', () => {
+			if (!a.preset || !limitInput) return;
+			limitInput.value = formatSizeForInput(a.preset.limitBytes);
+			handleGB();
+			paintPresetSuggestion();
+			triggerImmediateSaveAndCheck();
+		});
+		limitInput?.addEventListener('input', paintPresetSuggestion);
+		paintPresetSuggestion();
+		applyLockedFields(rowEl, panelEl, a.locked);
+
 		// Mailbox size: auto save+check
-		// - input fires for typing AND for step-buttons (step="0.1")
+		// - input fires for every edit (value with optional unit, e.g. "500 MB")
 		// - keyup is added as extra safety for some edge cases
 		const onLimitEdited = () => {
 			handleGB();
 
-			// If cleared, save immediately (limit becomes 0 => usage columns should be empty)
+			// If cleared, save immediately (limit becomes 0 => usage columns should be empty, unless a server quota applies)
 			let raw = (limitInput?.value ?? '').trim();
 			if (raw === '') {
-				paintUsageColumns(rowEl, { limitBytes: 0, usedBytes: 0, thresholdPct: Number(thresholdSelect?.value ?? MFA_DEFAULT_THRESHOLD_PCT) });
+				if (quotaSourceSelect?.value === 'manual') paintUsageColumns(rowEl, { limitBytes: 0, usedBytes: 0, thresholdPct: Number(thresholdSelect?.value ?? MFA_DEFAULT_THRESHOLD_PCT) });
 				triggerImmediateSaveAndCheck();
 				return;
 			}
 
-			// If invalid (e.g. "1."), do not schedule an update yet.
+			// If invalid (e.g. "1." or an unknown unit), do not schedule an update yet.
 			if (!isLimitValueValidOrEmpty()) {
 				if (autosaveTimer) clearTimeout(autosaveTimer);
 				autosaveTimer = null;
@@ -396,14 +1361,58 @@ async function load() {
 			if (isLimitValueValidOrEmpty()) triggerImmediateSaveAndCheck();
 		});
 
-		// Update button still works (now calls the shared logic)
-		btn?.addEventListener('click', async () => {
+		// Free-space rule: same debounce as the mailbox size
+		freeInput?.addEventListener('input', () => {
+			validateSizeInput(freeInput, 'MB');
+			if (isSizeValueValidOrEmpty(freeInput, 'MB')) scheduleSaveAndCheck(MFA_AUTOSAVE_DEBOUNCE_MS);
+		});
+		freeInput?.addEventListener('change', () => {
+			if (isSizeValueValidOrEmpty(freeInput, 'MB')) triggerImmediateSaveAndCheck();
+		});
+
+		// Folder rules: types and the counted checkboxes in the breakdown apply immediately, patterns debounced
+		for (let cb of typeBoxes) cb.addEventListener('change', () => triggerImmediateSaveAndCheck());
+		patternsInput?.addEventListener('input', () => scheduleSaveAndCheck(MFA_AUTOSAVE_DEBOUNCE_MS));
+		patternsInput?.addEventListener('change', () => triggerImmediateSaveAndCheck());
+		panelEl?.addEventListener('change', (ev) => {
+			let cb = ev.target;
+			if (!cb.classList?.contains('folder-counted')) return;
+			excludePaths = excludePaths.filter(p => p !== cb.value);
+			if (!cb.checked) excludePaths.push(cb.value);
 			triggerImmediateSaveAndCheck();
 		});
 
+		// Update button still works (now calls the shared logic) and forces a full rescan
+		btn?.addEventListener('click', async () => {
+			triggerImmediateSaveAndCheck({ rescan: true });
+		});
+
 		rowsEl.appendChild(frag);
+		placeAccountRow(rowEl, panelEl, a.groupId);
 	}
 
+	for (let a of accounts) addAccountRow(a);
+
+	// Accounts added, renamed or removed in Thunderbird while the page is open
+	browser.runtime.onMessage.addListener((msg) => {
+		if (msg?.type !== 'accountsChanged') return;
+		(async () => {
+			let rowEl = [...document.querySelectorAll('.grid-row')].find(el => el.dataset.accountId === msg.accountId);
+			if (msg.change === 'deleted') {
+				if (rowEl) getDetailPanel(rowEl)?.remove();
+				rowEl?.remove();
+			} else if (msg.change === 'created' && !rowEl) {
+				let state = await browser.runtime.sendMessage({ type: 'getAccountsState' });
+				let a = state.find(x => x.id === msg.accountId);
+				if (a) addAccountRow(a);
+			} else if (msg.change === 'updated' && rowEl && msg.name) {
+				let nameEl = rowEl.querySelector('.name');
+				if (nameEl) nameEl.textContent = msg.name;
+			}
+			await repaintAllRows();
+		})().catch(console.error);
+	});
+
 	// Try to flush any pending row updates when the options page is closed/hidden
 	const flushAll = () => {
 		for (let fn of flushPendingUpdates) {
@@ -417,13 +1426,7 @@ async function load() {
 
 	// Initial snapshot: paint all rows
 	try {
-		let usage = await browser.runtime.sendMessage({ type: 'getAccountsUsage' });
-		let byId = Object.fromEntries(usage.map(u => [u.id, u]));
-		document.querySelectorAll('.grid-row').forEach(row => {
-			let id = row.dataset.accountId;
-			if (byId[id]) paintUsageColumns(row, byId[id]);
-			else paintUsageColumns(row, { limitBytes: 0, usedBytes: 0, thresholdPct: MFA_DEFAULT_THRESHOLD_PCT });
-		});
+		await repaintAllRows();
 	} catch (e) {
 		console.error(e);
 	}
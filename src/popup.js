@@ -0,0 +1,106 @@
+/* global browser, $, t, localizeDocument, localizeWithin, humanSize */
+/**
+ * Toolbar popup: at-a-glance summary of all monitored accounts and quota groups
+ * - Usage bar, percentage, free space and time of the last check per account
+ * - Reads the usage cache only: opening the popup never starts a walk, unchecked accounts say so
+ * - "Check now" and a link to the full settings
+ */
+
+function formatCheckedAt(ms) {
+	if (!ms) return '';
+	try {
+		return new Date(ms).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+	} catch {
+		return '';
+	}
+}
+
+function renderAccounts(usage) {
+	let listEl = $('#accounts');
+	let tpl = $('#account-tpl');
+	if (!listEl || !tpl) return;
+	listEl.replaceChildren();
+
+	// group members are summed up in their group's entry
+	let monitored = (usage || []).filter(u => u.active && u.limitBytes > 0 && (u.isGroup || !u.groupId));
+	if (!monitored.length) {
+		let empty = document.createElement('div');
+		empty.className = 'empty';
+		empty.textContent = t('popupNoAccounts');
+		listEl.appendChild(empty);
+		return;
+	}
+
+	for (let u of monitored) {
+		let frag = document.importNode(tpl.content, true);
+		localizeWithin(frag);
+
+		let free = Math.max(0, u.limitBytes - u.usedBytes);
+		let pct = Number(u.pctUsed) || 0;
+
+		frag.querySelector('.account-name').textContent = u.name;
+		frag.querySelector('.account-name').title = u.name;
+
+		if (u.usageError) {
+			frag.querySelector('.account-pct').textContent = '–';
+			frag.querySelector('.bar-fill').style.width = '0%';
+			frag.querySelector('.account-detail').textContent = t('popupNotChecked');
+			listEl.appendChild(frag);
+			continue;
+		}
+
+		let pctEl = frag.querySelector('.account-pct');
+		pctEl.textContent = `${Math.round(pct)}%`;
+		if (u.levelColor) pctEl.style.color = u.levelColor;
+
+		let fill = frag.querySelector('.bar-fill');
+		fill.style.width = `${Math.min(100, Math.max(0, pct))}%`;
+		if (u.levelColor) fill.style.background = u.levelColor;
+
+		let checked = formatCheckedAt(u.lastCheckedAt);
+		frag.querySelector('.account-detail').textContent =
+			`${humanSize(free)} ${t('labelFreeSpace')}${checked ? ' · ' + t('popupLastCheck', [checked]) : ''}`;
+
+		listEl.appendChild(frag);
+	}
+}
+
+async function refresh() {
+	try {
+		let usage = await browser.runtime.sendMessage({ type: 'getAccountsUsage', cachedOnly: true });
+		renderAccounts(usage);
+	} catch (e) {
+		console.error(e);
+	}
+}
+
+async function load() {
+	localizeDocument();
+
+	let checkBtn = $('#checkNow');
+	checkBtn?.addEventListener('click', async () => {
+		checkBtn.disabled = true;
+		checkBtn.textContent = t('btnUpdating');
+		try {
+			await browser.runtime.sendMessage({ type: 'runCheckNow' });
+			await refresh();
+		} catch (e) {
+			console.error(e);
+		} finally {
+			checkBtn.disabled = false;
+			checkBtn.textContent = t('btnCheckNow');
+		}
+	});
+
+	$('#openSettings')?.addEventListener('click', (ev) => {
+		ev.preventDefault();
+		browser.runtime.openOptionsPage();
+		window.close();
+	});
+
+	await refresh();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+	load().catch(console.error);
+});
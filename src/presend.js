@@ -0,0 +1,49 @@
+/* global browser, $, t, localizeDocument, humanSize */
+/**
+ * Pre-send warning (presend.html?requestId=...), opened by the background from compose.onBeforeSend
+ * - Shows the estimated size of the Sent copy and the usage before / after sending
+ * - "Send anyway" or "Don't send"; closing the window does not send
+ */
+
+let requestId = new URLSearchParams(location.search).get('requestId');
+
+async function decide(send) {
+	try {
+		await browser.runtime.sendMessage({ type: 'preSendDecision', requestId, send });
+	} catch (e) {
+		console.error(e);
+	}
+	window.close();
+}
+
+async function load() {
+	localizeDocument();
+
+	let warning = null;
+	try { warning = await browser.runtime.sendMessage({ type: 'getPreSendWarning', requestId }); } catch (e) { console.error(e); }
+	if (!warning) {
+		window.close();
+		return;
+	}
+
+	let details = $('#details');
+	if (details) {
+		details.textContent = t('presendDetails', [
+			humanSize(warning.messageBytes),
+			warning.name,
+			warning.pctBefore.toFixed(1),
+			warning.pctAfter.toFixed(1),
+			humanSize(warning.limitBytes)
+		]);
+	}
+	let fullEl = $('#full');
+	if (fullEl) fullEl.hidden = !warning.full;
+
+	$('#send')?.addEventListener('click', () => { decide(true).catch(console.error); });
+	$('#cancel')?.addEventListener('click', () => { decide(false).catch(console.error); });
+	$('#cancel')?.focus();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+	load().catch(console.error);
+});